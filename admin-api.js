@@ -0,0 +1,389 @@
+// admin-api.js - Authenticated REST API to manage a profile's menu, deals, hours and delivery settings
+// Changes are validated, saved to DATA_DIR/menus over the profile's tracked data file and recorded in the audit log.
+// New sessions get the new values straight away, active ones too with UPDATE_ACTIVE_SESSIONS=true
+
+const crypto = require('crypto');
+const express = require('express');
+const { AuditLog } = require('./audit-log');
+const { renderPrompt } = require('./prompt-templates');
+const { summarizeUpsellEvents } = require('./upsell-engine');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[ADMIN] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[ADMIN] ${message}`);
+        }
+    }
+}
+
+// Lists of entries, addressed by their key field: /profiles/:profile/:collection/:key
+const COLLECTIONS = {
+    'pizzas': { path: ['menu', 'pizzas'], key: 'id' },
+    'sides': { path: ['menu', 'sides'], key: 'id' },
+    'drinks': { path: ['menu', 'drinks'], key: 'id' },
+    'desserts': { path: ['menu', 'desserts'], key: 'id' },
+    'toppings': { path: ['customizations', 'toppings'], key: 'name' },
+    'sizes': { path: ['customizations', 'sizes'], key: 'name' },
+    'deals': { path: ['deals'], key: 'id' },
+    'upsell-rules': { path: ['upsellRules'], key: 'trigger' }
+};
+
+// Settings replaced as a whole with PUT, objects can also be patched: /profiles/:profile/:section
+const SECTIONS = {
+    'hours': { path: ['hours'], object: true },
+    'holidays': { path: ['holidays'], object: false },
+    'delivery': { path: ['delivery'], object: true },
+    'pricing': { path: ['pricing'], object: true }
+};
+
+/**
+ * Parse ADMIN_API_TOKENS, e.g. "alice:s3cret,bob:t0ken"
+ * A token without a name is recorded as "admin" in the audit log
+ * @param {string} value - Comma separated name:token pairs
+ * @returns {Array<Object>} - { name, token }
+ */
+function parseAdminTokens(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+
+            return separator === -1
+                ? { name: 'admin', token: entry }
+                : { name: entry.substring(0, separator), token: entry.substring(separator + 1) };
+        })
+        .filter(entry => entry.token);
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Create middleware that lets a request through with "Authorization: Bearer <token>" for one of the tokens
+ * Sets req.tokenName to the name of the token, no tokens at all answers 503
+ * @param {Array<Object>} tokens - { name, token } from parseAdminTokens
+ * @param {Object} options - { realm: e.g. "admin", setting: variable that holds the tokens,
+ *                             queryToken: also accept ?token=, for EventSource which cannot set headers }
+ * @returns {Function} - Express middleware
+ */
+function createTokenAuth(tokens, options) {
+    return (req, res, next) => {
+        if (tokens.length === 0) {
+            return res.status(503).json({ error: `The ${options.realm} API is disabled, set ${options.setting} to enable it` });
+        }
+
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        const given = match ? match[1].trim() : options.queryToken && typeof req.query.token === 'string' && req.query.token;
+        const entry = given && tokens.find(candidate => safeEqual(candidate.token, given));
+
+        if (!entry) {
+            debug(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+            res.set('WWW-Authenticate', `Bearer realm="${options.realm}"`);
+            return res.status(401).json({ error: `A valid ${options.realm} token is required` });
+        }
+
+        req.tokenName = entry.name;
+        next();
+    };
+}
+
+/**
+ * Follow a path into the data file
+ * @param {Object} source - Data file contents
+ * @param {Array<string>} keys - Path, e.g. ['menu', 'pizzas']
+ * @returns {*} - Value at the path, undefined if any part is missing
+ */
+function getAt(source, keys) {
+    return keys.reduce((node, key) => (node ? node[key] : undefined), source);
+}
+
+/**
+ * Set a value in the data file, creating missing objects on the way
+ * @param {Object} source - Data file contents, changed in place
+ * @param {Array<string>} keys - Path
+ * @param {*} value - New value
+ */
+function setAt(source, keys, value) {
+    const parent = keys.slice(0, -1).reduce((node, key) => {
+        if (!node[key]) node[key] = {};
+        return node[key];
+    }, source);
+
+    parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Find a collection entry by its key, names compare case-insensitively
+ * @param {Array<Object>} entries - Collection
+ * @param {string} keyField - Key field of the collection
+ * @param {string} key - Key from the URL
+ * @returns {number} - Index or -1
+ */
+function findEntry(entries, keyField, key) {
+    return entries.findIndex(entry => String(entry[keyField]).toLowerCase() === String(key).toLowerCase());
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ * @returns {boolean}
+ */
+function isObject(body) {
+    return Boolean(body) && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * Create the admin router
+ * @param {Object} options - { profiles: ProfileRegistry, auditLog, tokens: ADMIN_API_TOKENS value, upsellReport }
+ * @returns {express.Router} - Router to mount at /api/admin
+ */
+function createAdminRouter(options) {
+    const profiles = options.profiles;
+    const auditLog = options.auditLog || new AuditLog();
+    const upsellReport = options.upsellReport || summarizeUpsellEvents;
+    const tokens = parseAdminTokens(options.tokens !== undefined ? options.tokens : process.env.ADMIN_API_TOKENS);
+    const router = express.Router();
+
+    // Every admin request needs "Authorization: Bearer <token>"
+    router.use(createTokenAuth(tokens, { realm: 'admin', setting: 'ADMIN_API_TOKENS' }));
+
+    // Resolve :profile for every route that has one
+    router.param('profile', (req, res, next, id) => {
+        req.profile = profiles.get(id);
+
+        if (!req.profile) {
+            return res.status(404).json({ error: `Profile "${id}" not found` });
+        }
+
+        next();
+    });
+
+    /**
+     * Save the changed data file and record the change
+     * Invalid data answers 400 with every problem and leaves the file as it was
+     * @param {Object} req - Request with profile and admin
+     * @param {Object} res - Response
+     * @param {Object} source - Changed data file contents
+     * @param {Object} change - { action, target, before, after, status }
+     */
+    function commit(req, res, source, change) {
+        try {
+            req.profile.loader.save(source);
+        } catch (error) {
+            return res.status(400).json({
+                error: `The change would make the ${req.profile.id} data invalid`,
+                details: error.validationErrors || [{ path: '(root)', message: error.message }]
+            });
+        }
+
+        const entry = auditLog.record({
+            actor: req.tokenName,
+            action: change.action,
+            profile: req.profile.id,
+            target: change.target,
+            before: change.before,
+            after: change.after,
+            ip: req.ip
+        });
+
+        res.status(change.status || 200).json({ value: change.after, audit: entry.id });
+    }
+
+    router.get('/audit', (req, res) => {
+        res.json({ entries: auditLog.list(req.query) });
+    });
+
+    // Offered and converted upsell suggestions per rule
+    router.get('/reports/upsells', (req, res) => {
+        res.json({ upsells: upsellReport() });
+    });
+
+    router.get('/profiles', (req, res) => {
+        res.json({ profiles: profiles.list().map(profile => ({ id: profile.id, name: profile.name })) });
+    });
+
+    // The file as stored, including unavailable entries
+    router.get('/profiles/:profile', (req, res) => {
+        res.json({ data: req.profile.loader.getSource() });
+    });
+
+    // Render the prompt a new session of the profile would get, as plain text for diffing
+    // ?at=2026-12-24T18:00:00Z renders it for another time, ?language=es in another language,
+    // ?format=json adds the template details
+    router.get('/profiles/:profile/prompt', (req, res) => {
+        const now = req.query.at ? new Date(req.query.at) : new Date();
+
+        if (isNaN(now.getTime())) {
+            return res.status(400).json({ error: `"${req.query.at}" is not a valid time` });
+        }
+
+        let prompt;
+
+        try {
+            prompt = renderPrompt(req.profile, req.profile.loader.getData(), { now: now, language: req.query.language });
+        } catch (error) {
+            return res.status(422).json({ error: error.message });
+        }
+
+        if (req.query.format === 'json') {
+            return res.json({
+                profile: req.profile.id,
+                template: req.profile.instructions,
+                language: req.query.language || req.profile.language,
+                sections: req.profile.promptSections || {},
+                renderedAt: now.toISOString(),
+                prompt: prompt
+            });
+        }
+
+        res.type('text/plain').send(`${prompt}\n`);
+    });
+
+    router.get('/profiles/:profile/:section', (req, res) => {
+        const spec = COLLECTIONS[req.params.section] || SECTIONS[req.params.section];
+        const value = spec && getAt(req.profile.loader.getSource(), spec.path);
+
+        if (value === undefined) {
+            return res.status(404).json({ error: `Profile "${req.profile.id}" has no ${req.params.section}` });
+        }
+
+        res.json({ value: value });
+    });
+
+    // Add an entry to a collection
+    router.post('/profiles/:profile/:section', (req, res) => {
+        const spec = COLLECTIONS[req.params.section];
+
+        if (!spec) {
+            return res.status(404).json({ error: `Cannot add to ${req.params.section}` });
+        }
+
+        if (!isObject(req.body) || !req.body[spec.key]) {
+            return res.status(400).json({ error: `The new entry needs a "${spec.key}"` });
+        }
+
+        const source = req.profile.loader.getSource();
+        const entries = getAt(source, spec.path) || [];
+
+        if (findEntry(entries, spec.key, req.body[spec.key]) !== -1) {
+            return res.status(409).json({ error: `${req.params.section} already has "${req.body[spec.key]}"` });
+        }
+
+        entries.push(req.body);
+        setAt(source, spec.path, entries);
+
+        commit(req, res, source, {
+            action: 'create',
+            target: `${req.params.section}/${req.body[spec.key]}`,
+            after: req.body,
+            status: 201
+        });
+    });
+
+    // Edit an entry, send { "available": false } to disable it
+    router.patch('/profiles/:profile/:section/:key', (req, res) => {
+        const spec = COLLECTIONS[req.params.section];
+
+        if (!spec) {
+            return res.status(404).json({ error: `Unknown collection ${req.params.section}` });
+        }
+
+        if (!isObject(req.body)) {
+            return res.status(400).json({ error: 'Send the fields to change as a JSON object' });
+        }
+
+        const source = req.profile.loader.getSource();
+        const entries = getAt(source, spec.path) || [];
+        const index = findEntry(entries, spec.key, req.params.key);
+
+        if (index === -1) {
+            return res.status(404).json({ error: `${req.params.section} has no "${req.params.key}"` });
+        }
+
+        const before = entries[index];
+
+        if (req.body[spec.key] !== undefined && req.body[spec.key] !== before[spec.key]) {
+            return res.status(400).json({ error: `"${spec.key}" cannot be changed, add a new entry instead` });
+        }
+
+        entries[index] = { ...before, ...req.body };
+
+        commit(req, res, source, {
+            action: req.body.available === false ? 'disable' : 'update',
+            target: `${req.params.section}/${before[spec.key]}`,
+            before: before,
+            after: entries[index]
+        });
+    });
+
+    // Replace a settings section
+    router.put('/profiles/:profile/:section', (req, res) => {
+        const spec = SECTIONS[req.params.section];
+
+        if (!spec) {
+            return res.status(404).json({ error: `Cannot replace ${req.params.section}` });
+        }
+
+        if (req.body === undefined) {
+            return res.status(400).json({ error: `Send the new ${req.params.section} as JSON` });
+        }
+
+        const source = req.profile.loader.getSource();
+        const before = getAt(source, spec.path);
+        setAt(source, spec.path, req.body);
+
+        commit(req, res, source, {
+            action: 'replace',
+            target: req.params.section,
+            before: before,
+            after: req.body
+        });
+    });
+
+    // Change some fields of a settings section, e.g. { "fee": 3.99 } for delivery or { "Monday": {...} } for hours
+    router.patch('/profiles/:profile/:section', (req, res) => {
+        const spec = SECTIONS[req.params.section];
+
+        if (!spec || !spec.object) {
+            return res.status(404).json({ error: `Cannot update ${req.params.section}, use PUT to replace it` });
+        }
+
+        if (!isObject(req.body)) {
+            return res.status(400).json({ error: 'Send the fields to change as a JSON object' });
+        }
+
+        const source = req.profile.loader.getSource();
+        const before = getAt(source, spec.path);
+        const after = { ...(before || {}), ...req.body };
+        setAt(source, spec.path, after);
+
+        commit(req, res, source, {
+            action: 'update',
+            target: req.params.section,
+            before: before,
+            after: after
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter,
+    createTokenAuth,
+    parseAdminTokens
+};
@@ -0,0 +1,119 @@
+// agent-playback.js - Follows the agent's replies on their way to the caller, for barge-in
+// The agent sends its audio faster than real time, so the client still has some of a reply queued when the
+// caller starts speaking. The playback knows how much audio of the reply went out and since when: it tells how
+// much of the reply the caller heard, and drops the audio of an interrupted reply that is still arriving.
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[PLAYBACK] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[PLAYBACK] ${message}`);
+        }
+    }
+}
+
+// linear16 mono
+const BYTES_PER_SAMPLE = 2;
+
+class AgentPlayback {
+    /**
+     * @param {Object} options - { sampleRate: of the agent's audio, now: clock returning milliseconds }
+     */
+    constructor(options = {}) {
+        this.bytesPerMs = (options.sampleRate || 24000) * BYTES_PER_SAMPLE / 1000;
+        this.now = options.now || Date.now;
+
+        // Reply being played: { sentBytes, startedAt, done, interrupted }
+        this.reply = null;
+
+        // Latest reply text from the agent
+        this.text = null;
+    }
+
+    /**
+     * Follow a new reply, the agent started speaking
+     */
+    startReply() {
+        this.reply = { sentBytes: 0, startedAt: null, done: false, interrupted: false };
+    }
+
+    /**
+     * Remember what the agent says, its ConversationText
+     * @param {string} text - Reply text
+     */
+    setText(text) {
+        this.text = text;
+    }
+
+    /**
+     * The agent sent the last audio of the reply, the client may still be playing it
+     */
+    finishReply() {
+        if (this.reply) this.reply.done = true;
+    }
+
+    /**
+     * Count a chunk of agent audio before it goes to the client
+     * @param {Buffer} chunk - Audio
+     * @returns {boolean} - False for audio of an interrupted reply, which must be dropped
+     */
+    accept(chunk) {
+        if (!this.reply) this.startReply();
+
+        if (this.reply.interrupted) return false;
+
+        if (this.reply.startedAt === null) {
+            this.reply.startedAt = this.now();
+        }
+
+        this.reply.sentBytes += chunk.byteLength;
+        return true;
+    }
+
+    /**
+     * The caller started speaking, interrupt the reply if the caller is still hearing it
+     * @returns {Object|null} - { sentMs, heardMs, text, heardText } of the interrupted reply, heardText is
+     *                          estimated from the share of the audio heard; null if nothing was playing
+     */
+    interrupt() {
+        const reply = this.reply;
+
+        if (!reply || reply.interrupted || reply.startedAt === null) return null;
+
+        const sentMs = Math.round(reply.sentBytes / this.bytesPerMs);
+        const heardMs = Math.min(this.now() - reply.startedAt, sentMs);
+
+        // Played to the end, the caller just answers
+        if (reply.done && heardMs >= sentMs) return null;
+
+        reply.interrupted = true;
+
+        const interruption = {
+            sentMs: sentMs,
+            heardMs: heardMs,
+            text: this.text,
+            heardText: this.text ? cutText(this.text, sentMs > 0 ? heardMs / sentMs : 0) : null
+        };
+
+        debug('Reply interrupted', interruption);
+        return interruption;
+    }
+}
+
+/**
+ * Keep the first words of a text
+ * @param {string} text - Text
+ * @param {number} share - 0 to 1
+ * @returns {string} - The words in that share of the text
+ */
+function cutText(text, share) {
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.slice(0, Math.round(words.length * share)).join(' ');
+}
+
+module.exports = {
+    AgentPlayback
+};
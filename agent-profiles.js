@@ -0,0 +1,316 @@
+// agent-profiles.js - Named agent profiles so one deployment can serve several brands
+// A profile (profiles/<id>.json) brings its own data file, prompt template, voice, functions, greeting and
+// agent settings. Sessions pick a profile from the init command, the dialed number, the WebSocket query or path,
+// and a language from the ones the profile speaks
+
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('./schema-validator');
+const { RestaurantDataLoader } = require('./restaurant-data-loader');
+const { toolRegistry } = require('./tool-registry');
+const { renderPrompt } = require('./prompt-templates');
+const { getLocale, hasLocale, DEFAULT_LANGUAGE } = require('./locales');
+const { resolveSettings, validateSettings, DEFAULT_CLIENT_SETTINGS } = require('./agent-settings');
+const { getTimezone, getLocalDateTime } = require('./business-hours');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[PROFILES] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[PROFILES] ${message}`);
+        }
+    }
+}
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, 'profiles');
+const PROFILE_SCHEMA_FILE = path.join(__dirname, 'schemas', 'agent-profile.schema.json');
+const DEFAULT_DATA_SCHEMA = 'schemas/restaurant-data.schema.json';
+
+/**
+ * Keep only the digits of a phone number so "+1 (555) 010-2000" matches "15550102000"
+ * @param {string} number - Phone number or extension
+ * @returns {string} - Digits
+ */
+function normalizeNumber(number) {
+    return String(number || '').replace(/\D/g, '');
+}
+
+/**
+ * Fill {{name}} style variables from the profile data
+ * @param {string} template - Text with {{variables}}
+ * @param {Object} data - Profile data
+ * @returns {string} - Text with the variables replaced
+ */
+function fillTemplate(template, data) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        (data && data[key] !== undefined ? String(data[key]) : match));
+}
+
+/**
+ * Name the part of the day for a greeting
+ * @param {number} hour - Hour in the restaurant's timezone, 0 to 23
+ * @returns {string} - morning, afternoon or evening
+ */
+function getTimeOfDay(hour) {
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 18) return 'afternoon';
+    return 'evening';
+}
+
+class ProfileRegistry {
+    /**
+     * @param {string} directory - Directory with one profile JSON file per brand, defaults to PROFILES_DIR or profiles/
+     * @param {string} defaultProfileId - Profile used when a session does not ask for one, DEFAULT_PROFILE wins
+     * @param {string} overrideDirectory - Where admin changes to the data files go, defaults to DATA_DIR/menus
+     */
+    constructor(directory = PROFILES_DIR, defaultProfileId = process.env.DEFAULT_PROFILE || 'pizza',
+        overrideDirectory = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'menus')) {
+        this.directory = directory;
+        this.defaultProfileId = defaultProfileId;
+        this.overrideDirectory = overrideDirectory;
+        this.profiles = new Map();
+    }
+
+    /**
+     * Load and validate every profile and its data file, throws on the first invalid one
+     * @returns {ProfileRegistry} - The registry, for chaining
+     */
+    load() {
+        const schema = JSON.parse(fs.readFileSync(PROFILE_SCHEMA_FILE, 'utf8'));
+
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => {
+                const profileFile = path.join(this.directory, file);
+                const config = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+                const result = validate(config, schema);
+
+                if (!result.valid) {
+                    throw new Error(`Invalid agent profile in ${profileFile}:\n${formatErrors(result.errors)}`);
+                }
+
+                validateSettings(config.settings || {}, `settings of agent profile ${profileFile}`);
+
+                if (this.profiles.has(config.id)) {
+                    throw new Error(`Agent profile "${config.id}" in ${profileFile} is already defined`);
+                }
+
+                // Paths in a profile are absolute or relative to the project root. The data files are tracked
+                // defaults, admin changes are kept in an override file of the same name
+                const loader = new RestaurantDataLoader(
+                    path.resolve(__dirname, config.dataFile),
+                    path.resolve(__dirname, config.dataSchema || DEFAULT_DATA_SCHEMA),
+                    path.join(this.overrideDirectory, path.basename(config.dataFile))
+                );
+                loader.load();
+
+                let registry;
+
+                try {
+                    registry = config.functions ? toolRegistry.subset(config.functions) : toolRegistry;
+                } catch (error) {
+                    throw new Error(`Invalid agent profile in ${profileFile}: ${error.message}`);
+                }
+
+                const profile = {
+                    ...config,
+                    language: config.language || DEFAULT_LANGUAGE,
+                    languages: config.languages || {},
+                    settings: config.settings || {},
+                    clientSettings: config.clientSettings || DEFAULT_CLIENT_SETTINGS,
+                    paths: config.paths || [],
+                    numbers: (config.numbers || []).map(normalizeNumber),
+                    loader: loader,
+                    registry: registry
+                };
+
+                // Render once per language so a missing locale, template, section or variable fails at startup
+                this.getLanguages(profile).forEach(language => {
+                    if (!hasLocale(language)) {
+                        throw new Error(`Invalid agent profile in ${profileFile}: there is no locales/${language}.json`);
+                    }
+
+                    try {
+                        renderPrompt(profile, loader.getData(), { language: language });
+                    } catch (error) {
+                        throw new Error(`Invalid agent profile in ${profileFile}: ${error.message}`);
+                    }
+                });
+
+                this.profiles.set(config.id, profile);
+
+                debug(`Loaded profile ${config.id} (${config.name})`);
+            });
+
+        if (!this.profiles.has(this.defaultProfileId)) {
+            throw new Error(`Default agent profile "${this.defaultProfileId}" does not exist in ${this.directory}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Watch every profile's data file for changes
+     * @returns {ProfileRegistry} - The registry, for chaining
+     */
+    watch() {
+        this.profiles.forEach(profile => profile.loader.watch());
+        return this;
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} id - Profile id
+     * @returns {Object|undefined} - Profile
+     */
+    get(id) {
+        return this.profiles.get(id);
+    }
+
+    /**
+     * Get every profile
+     * @returns {Array<Object>} - Profiles
+     */
+    list() {
+        return Array.from(this.profiles.values());
+    }
+
+    /**
+     * Get the profile used when nothing else matches
+     * @returns {Object} - Profile
+     */
+    getDefault() {
+        return this.profiles.get(this.defaultProfileId);
+    }
+
+    /**
+     * Pick the profile for a session, the first hint that matches a profile wins
+     * @param {Object} hints - { profile: from the init command, dialedNumber, query: WebSocket query, pathname }
+     * @returns {Object} - Profile
+     */
+    resolve(hints = {}) {
+        const byId = (id) => (id ? this.profiles.get(String(id)) : undefined);
+        const profiles = this.list();
+
+        const dialed = normalizeNumber(hints.dialedNumber);
+        const query = hints.query || {};
+
+        const profile = byId(hints.profile) ||
+            (dialed ? profiles.find(p => p.numbers.includes(dialed)) : undefined) ||
+            byId(query.profile) ||
+            profiles.find(p => p.paths.includes(hints.pathname)) ||
+            this.getDefault();
+
+        debug(`Resolved profile ${profile.id}`, hints);
+        return profile;
+    }
+
+    /**
+     * Get the languages a profile speaks, its default language first
+     * @param {Object} profile - Profile
+     * @returns {Array<string>} - Language codes
+     */
+    getLanguages(profile) {
+        return [profile.language, ...Object.keys(profile.languages).filter(code => code !== profile.language)];
+    }
+
+    /**
+     * Pick the session language, falling back to the profile's default for languages it does not speak
+     * @param {Object} profile - Profile
+     * @param {string} requested - Language asked for by the init command or the caller
+     * @returns {string} - Language code
+     */
+    resolveLanguage(profile, requested) {
+        const code = String(requested || '').trim();
+        const language = this.getLanguages(profile).includes(code) ? code : profile.language;
+
+        if (code && language !== code) {
+            debug(`Profile ${profile.id} does not speak "${code}", using ${language}`);
+        }
+
+        return language;
+    }
+
+    /**
+     * Get the TTS voice for a language: the profile's choice, or the locale's default voice
+     * @param {Object} profile - Profile
+     * @param {string} language - Language code
+     * @returns {string} - Voice model
+     */
+    getVoice(profile, language = profile.language) {
+        if (language === profile.language) {
+            return profile.voice;
+        }
+
+        const settings = profile.languages[language] || {};
+        return settings.voice || getLocale(language).voice;
+    }
+
+    /**
+     * Get the variables of a greeting: the profile data, {{timeOfDay}} and {{customerName}}
+     * @param {Object} profile - Profile
+     * @param {string} language - Language code of the time of day
+     * @param {Object} context - { now: time of the greeting, customerName: name of a returning customer }
+     * @returns {Object} - Template variables
+     */
+    getGreetingVariables(profile, language = profile.language, context = {}) {
+        const data = profile.loader.getData();
+        const { hour } = getLocalDateTime(context.now || new Date(), getTimezone(data));
+
+        return {
+            ...data,
+            timeOfDay: getLocale(language).t(`greeting.${getTimeOfDay(hour)}`),
+            customerName: context.customerName || ''
+        };
+    }
+
+    /**
+     * Get the greeting for a profile with its variables filled in
+     * A returning customer gets the returning greeting when there is one
+     * @param {Object} profile - Profile
+     * @param {string} language - Language code, other languages use their own greetings when the profile has them
+     * @param {Object} context - { now, customerName }, see getGreetingVariables
+     * @returns {string} - Greeting
+     */
+    getGreeting(profile, language = profile.language, context = {}) {
+        const settings = profile.languages[language] || {};
+        const greetings = settings.greeting ? settings : profile;
+        const template = (context.customerName && greetings.returningGreeting) || greetings.greeting;
+
+        return fillTemplate(template, this.getGreetingVariables(profile, language, context));
+    }
+
+    /**
+     * Get the agent settings of a session
+     * The language brings the voice, listen model and greeting, the profile's settings override them
+     * and the client's settings override both, as far as the profile allows
+     * @param {Object} profile - Profile
+     * @param {string} language - Language code
+     * @param {Object} requested - Settings block of the init command, may be undefined
+     * @param {Object} context - { now, customerName } of the greeting, see getGreetingVariables
+     * @returns {Object} - { think: { provider, model, temperature }, voice, listenModel, endpointing, greeting }
+     * @throws {Error} - With error.validationErrors if the client's settings are invalid or not allowed
+     */
+    getSettings(profile, language = profile.language, requested = undefined, context = {}) {
+        const settings = resolveSettings({
+            voice: this.getVoice(profile, language),
+            listenModel: getLocale(language).listenModel,
+            greeting: this.getGreeting(profile, language, context),
+            ...profile.settings
+        }, requested, profile.clientSettings);
+
+        // Greetings from the profile's settings or the client can use the same {{variables}}
+        settings.greeting = fillTemplate(settings.greeting, this.getGreetingVariables(profile, language, context));
+
+        return settings;
+    }
+}
+
+module.exports = {
+    ProfileRegistry,
+    fillTemplate
+};
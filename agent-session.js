@@ -0,0 +1,384 @@
+// agent-session.js - One upstream Deepgram agent connection and its lifecycle
+// connecting -> configuring -> ready <-> speaking, and from any of these terminating -> closed.
+// An upstream close moves the session to reconnecting, it waits with exponential backoff and starts over at
+// connecting with a new socket; configure() runs again. It emits 'reconnect_attempt', 'reconnected' once ready
+// and 'reconnect_failed' before it closes when the attempts are used up.
+// The session owns the keepalive and the socket: close() is the only teardown and it is safe to call twice.
+// Agent events are re-emitted under their AgentEvents names, state changes as 'state'
+
+const EventEmitter = require('events');
+const { AgentEvents } = require('@deepgram/sdk');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[AGENT-SESSION] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[AGENT-SESSION] ${message}`);
+        }
+    }
+}
+
+const STATES = {
+    CONNECTING: 'connecting',
+    CONFIGURING: 'configuring',
+    READY: 'ready',
+    SPEAKING: 'speaking',
+    RECONNECTING: 'reconnecting',
+    TERMINATING: 'terminating',
+    CLOSED: 'closed'
+};
+
+// State -> states it can move to
+const TRANSITIONS = {
+    [STATES.CONNECTING]: [STATES.CONFIGURING, STATES.RECONNECTING, STATES.TERMINATING],
+    [STATES.CONFIGURING]: [STATES.READY, STATES.RECONNECTING, STATES.TERMINATING],
+    [STATES.READY]: [STATES.SPEAKING, STATES.RECONNECTING, STATES.TERMINATING],
+    [STATES.SPEAKING]: [STATES.READY, STATES.RECONNECTING, STATES.TERMINATING],
+    [STATES.RECONNECTING]: [STATES.CONNECTING, STATES.TERMINATING],
+    [STATES.TERMINATING]: [STATES.CLOSED],
+    [STATES.CLOSED]: []
+};
+
+// Deepgram closes idle agent connections, a keepalive every 5 seconds stays well inside its 8
+const KEEPALIVE_INTERVAL_MS = 5000;
+
+// Reconnects after an upstream close: attempts in a row, first delay doubled on each attempt up to the maximum
+const RECONNECT_DEFAULTS = {
+    maxAttempts: parseInt(process.env.AGENT_RECONNECT_ATTEMPTS || '5', 10),
+    baseDelayMs: parseInt(process.env.AGENT_RECONNECT_DELAY_MS || '500', 10),
+    maxDelayMs: 8000
+};
+
+// Agent events passed on to the session's listeners
+const FORWARDED_EVENTS = [
+    AgentEvents.Welcome,
+    AgentEvents.SettingsApplied,
+    AgentEvents.ConversationText,
+    AgentEvents.UserStartedSpeaking,
+    AgentEvents.AgentThinking,
+    AgentEvents.FunctionCallRequest,
+    AgentEvents.AgentStartedSpeaking,
+    AgentEvents.AgentAudioDone,
+    AgentEvents.Audio,
+    AgentEvents.InjectionRefused,
+    AgentEvents.PromptUpdated,
+    AgentEvents.Unhandled
+];
+
+class AgentSession extends EventEmitter {
+    /**
+     * @param {Object} options - { deepgram: client, configure: async (session) => void, id: for the logs,
+     *                            reconnect: { maxAttempts: 0 to close on the first upstream close, baseDelayMs, maxDelayMs } }
+     */
+    constructor(options) {
+        super();
+        this.deepgram = options.deepgram;
+        this.configure = options.configure;
+        this.id = options.id || 'agent';
+        this.reconnect = { ...RECONNECT_DEFAULTS, ...options.reconnect };
+
+        this.state = null;
+        this.connection = null;
+        this.keepAliveInterval = null;
+
+        // Reconnect attempts since the upstream connection dropped, 0 while connected
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Open the upstream connection, the session is ready once configure() resolves
+     * @returns {AgentSession} - The session, for chaining
+     */
+    connect() {
+        if (this.state !== null) {
+            throw new Error(`Agent session ${this.id} was already started`);
+        }
+
+        this.openConnection();
+        return this;
+    }
+
+    /**
+     * Open a socket to the agent, the first one or one replacing a dropped one
+     */
+    openConnection() {
+        this.setState(STATES.CONNECTING);
+
+        const connection = this.deepgram.agent();
+        this.connection = connection;
+
+        // Events of a socket the session replaced or closed are dropped
+        const isCurrent = () => this.connection === connection && !this.isClosed();
+
+        connection.on(AgentEvents.Open, () => this.handleOpen(connection));
+        connection.on(AgentEvents.Error, (error) => {
+            if (!isCurrent()) return;
+
+            // A failed attempt is followed by a close, which schedules the next one
+            if (this.reconnectAttempt > 0 && this.state === STATES.CONNECTING) {
+                debug(`Reconnect attempt ${this.reconnectAttempt} of ${this.id} failed: ${error.message || error}`);
+                return;
+            }
+
+            this.emit('error', error);
+        });
+        connection.on(AgentEvents.Close, (event) => {
+            if (!isCurrent()) return;
+
+            debug(`Agent connection of ${this.id} closed upstream`, { code: event && event.code });
+            this.handleUpstreamClose();
+        });
+
+        connection.on(AgentEvents.AgentStartedSpeaking, () => {
+            if (isCurrent()) this.moveTo(STATES.SPEAKING);
+        });
+        connection.on(AgentEvents.AgentAudioDone, () => {
+            if (isCurrent()) this.moveTo(STATES.READY);
+        });
+
+        FORWARDED_EVENTS.forEach(event => {
+            connection.on(event, (data) => {
+                if (isCurrent()) this.emit(event, data);
+            });
+        });
+    }
+
+    /**
+     * Configure the agent once the socket is open
+     * @param {Object} connection - The socket that opened
+     */
+    async handleOpen(connection) {
+        // Closed while the socket was still opening, the SDK only now has a socket to close
+        if (this.isClosed() || this.connection !== connection) {
+            this.disconnect(connection);
+            return;
+        }
+
+        this.setState(STATES.CONFIGURING);
+
+        try {
+            await this.configure(this);
+        } catch (error) {
+            this.emit('error', error);
+            this.close('configuration failed');
+            return;
+        }
+
+        // Closed or dropped again while configuring
+        if (this.state !== STATES.CONFIGURING || this.connection !== connection) return;
+
+        this.keepAliveInterval = setInterval(() => {
+            try {
+                this.connection.keepAlive();
+            } catch (error) {
+                console.error(`Error sending keepalive for ${this.id}:`, error);
+            }
+        }, KEEPALIVE_INTERVAL_MS);
+
+        const attempts = this.reconnectAttempt;
+        this.reconnectAttempt = 0;
+
+        if (attempts === 0) {
+            this.setState(STATES.READY);
+            return;
+        }
+
+        this.setState(STATES.READY, 'reconnected');
+        this.emit('reconnected', { attempts: attempts });
+    }
+
+    /**
+     * Reconnect after the upstream socket closed, or close the session once the attempts are used up
+     */
+    handleUpstreamClose() {
+        clearInterval(this.keepAliveInterval);
+        this.keepAliveInterval = null;
+
+        if (this.reconnectAttempt >= this.reconnect.maxAttempts) {
+            if (this.reconnectAttempt > 0) {
+                this.emit('reconnect_failed', { attempts: this.reconnectAttempt });
+            }
+
+            this.close('upstream closed');
+            return;
+        }
+
+        this.reconnectAttempt++;
+        const delayMs = Math.min(this.reconnect.baseDelayMs * 2 ** (this.reconnectAttempt - 1), this.reconnect.maxDelayMs);
+
+        this.setState(STATES.RECONNECTING, `attempt ${this.reconnectAttempt} in ${delayMs}ms`);
+        this.emit('reconnect_attempt', { attempt: this.reconnectAttempt, delayMs: delayMs });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openConnection();
+        }, delayMs);
+    }
+
+    /**
+     * Change state, throws for transitions the state machine does not have
+     * @param {string} next - New state
+     * @param {string} reason - Why, passed to 'state' listeners
+     */
+    setState(next, reason) {
+        const previous = this.state;
+
+        if (previous !== null && !TRANSITIONS[previous].includes(next)) {
+            throw new Error(`Agent session ${this.id} cannot go from ${previous} to ${next}`);
+        }
+
+        this.state = next;
+        debug(`${this.id}: ${previous || 'new'} -> ${next}${reason ? ` (${reason})` : ''}`);
+
+        this.emit('state', { state: next, previous: previous, reason: reason || null });
+        this.emit(next, reason);
+    }
+
+    /**
+     * Change state if the state machine allows it, for events the agent may send at any time
+     * @param {string} next - New state
+     * @returns {boolean} - True if the state changed
+     */
+    moveTo(next) {
+        if (this.state === next || !TRANSITIONS[this.state].includes(next)) {
+            return false;
+        }
+
+        this.setState(next);
+        return true;
+    }
+
+    /**
+     * Check if the agent takes audio and messages
+     * @returns {boolean}
+     */
+    isReady() {
+        return this.state === STATES.READY || this.state === STATES.SPEAKING;
+    }
+
+    /**
+     * Check if the session lost its upstream socket and is getting a new one
+     * @returns {boolean}
+     */
+    isReconnecting() {
+        return this.reconnectAttempt > 0 && !this.isClosed();
+    }
+
+    /**
+     * Check if the session is shutting down or shut down
+     * @returns {boolean}
+     */
+    isClosed() {
+        return this.state === STATES.TERMINATING || this.state === STATES.CLOSED;
+    }
+
+    /**
+     * Send audio or a JSON message to the agent
+     * Function call responses can arrive while configuring, everything is dropped while the socket
+     * is down and once closed
+     * @param {Buffer|string} data - Audio or a JSON string
+     * @returns {boolean} - True if sent
+     */
+    send(data) {
+        if (!this.connection || this.isClosed() || this.state === STATES.RECONNECTING) {
+            return false;
+        }
+
+        this.connection.send(data);
+        return true;
+    }
+
+    /**
+     * Replace the agent's prompt
+     * @param {string} prompt - New prompt
+     * @returns {boolean} - True if sent
+     */
+    updatePrompt(prompt) {
+        if (!this.isReady()) {
+            return false;
+        }
+
+        this.connection.updatePrompt(prompt);
+        return true;
+    }
+
+    /**
+     * Have the agent say a message, e.g. the greeting of a new conversation
+     * The agent API reads the text from message, the SDK's injectAgentMessage() sends it as content
+     * @param {string} text - What the agent says
+     * @returns {boolean} - True if sent
+     */
+    injectAgentMessage(text) {
+        if (!this.isReady()) {
+            return false;
+        }
+
+        this.connection.send(JSON.stringify({ type: 'InjectAgentMessage', message: text }));
+        return true;
+    }
+
+    /**
+     * Give the agent a typed message as the user's turn
+     * @param {string} text - Typed message
+     * @returns {boolean} - True if sent
+     */
+    injectUserMessage(text) {
+        if (!this.isReady()) {
+            return false;
+        }
+
+        this.connection.injectUserMessage(text);
+        return true;
+    }
+
+    /**
+     * Tear the session down: stop the keepalive, close the upstream socket and emit 'closed'
+     * @param {string} reason - Why the session ends
+     * @returns {boolean} - False if the session was already closed
+     */
+    close(reason = 'closed') {
+        if (this.isClosed()) {
+            return false;
+        }
+
+        if (this.state === null) {
+            this.state = STATES.CLOSED;
+            return true;
+        }
+
+        this.setState(STATES.TERMINATING, reason);
+
+        clearInterval(this.keepAliveInterval);
+        this.keepAliveInterval = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        this.disconnect();
+        this.setState(STATES.CLOSED, reason);
+
+        return true;
+    }
+
+    /**
+     * Close an upstream socket
+     * @param {Object} connection - Socket to close, the current one by default
+     */
+    disconnect(connection = this.connection) {
+        if (!connection) return;
+
+        try {
+            connection.disconnect(1000, 'Session ended');
+        } catch (error) {
+            console.error(`Error closing agent connection of ${this.id}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    AgentSession,
+    STATES
+};
@@ -0,0 +1,169 @@
+// agent-settings.js - Agent settings of a session: think model, voice, listen model, endpointing and greeting
+// Built from the built-in defaults, the session language, the profile's settings and last the init command's
+// settings block. Clients can only change the settings on the profile's clientSettings allow-list
+
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('./schema-validator');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[SETTINGS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[SETTINGS] ${message}`);
+        }
+    }
+}
+
+const SETTINGS_SCHEMA_FILE = path.join(__dirname, 'schemas', 'agent-settings.schema.json');
+
+// Used when neither the profile nor the client chose
+const DEFAULT_SETTINGS = {
+    think: {
+        provider: 'open_ai',
+        model: 'gpt-4o'
+    }
+};
+
+// Settings a client may change when its profile has no clientSettings.
+// The think provider and model change the cost of a session and the greeting speaks for the brand,
+// a profile has to allow them
+const DEFAULT_CLIENT_SETTINGS = ['voice', 'listenModel', 'endpointing', 'think.temperature'];
+
+// Listen models whose end of turn the agent API lets us set, as eot_timeout_ms.
+// The nova models end the caller's turn on their own
+const FLUX_MODEL_PATTERN = /^flux-/;
+
+let schema = null;
+
+/**
+ * List the settings that are set, as dotted paths
+ * @param {Object} settings - Settings
+ * @returns {Array<string>} - e.g. ['voice', 'think.model']
+ */
+function listSettings(settings) {
+    return Object.entries(settings || {}).flatMap(([key, value]) =>
+        (value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.keys(value).map(child => `${key}.${child}`)
+            : [key]));
+}
+
+/**
+ * Check settings against the schema
+ * @param {Object} settings - Settings to check
+ * @param {string} source - Where the settings come from, for the error message
+ * @returns {Object} - The settings
+ * @throws {Error} - With every problem in the message and in error.validationErrors
+ */
+function validateSettings(settings, source = 'agent settings') {
+    if (!schema) {
+        schema = JSON.parse(fs.readFileSync(SETTINGS_SCHEMA_FILE, 'utf8'));
+    }
+
+    const result = validate(settings, schema);
+
+    if (!result.valid) {
+        const error = new Error(`Invalid ${source}:\n${formatErrors(result.errors)}`);
+        error.validationErrors = result.errors;
+        throw error;
+    }
+
+    return settings;
+}
+
+/**
+ * Check the settings a client sent against the schema and the allow-list
+ * @param {Object} requested - Settings block of the init command
+ * @param {Array<string>} allowed - Setting paths the client may change
+ * @returns {Object} - The settings
+ * @throws {Error} - With error.validationErrors for invalid or forbidden settings
+ */
+function validateClientSettings(requested, allowed = DEFAULT_CLIENT_SETTINGS) {
+    validateSettings(requested, 'session settings');
+
+    const forbidden = listSettings(requested).filter(setting =>
+        !allowed.includes(setting) && !allowed.includes(setting.split('.')[0]));
+
+    if (forbidden.length > 0) {
+        const errors = forbidden.map(setting => ({ path: setting, message: 'cannot be changed by the client' }));
+        const error = new Error(`Invalid session settings:\n${formatErrors(errors)}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    return requested;
+}
+
+/**
+ * Check if a listen model is a Flux model, the only kind with endpointing
+ * @param {string} model - Listen model, e.g. flux-general-en
+ * @returns {boolean}
+ */
+function isFluxModel(model) {
+    return FLUX_MODEL_PATTERN.test(model || '');
+}
+
+/**
+ * Check that the endpointing of merged settings has a listen model that supports it
+ * @param {Object} settings - Session settings
+ * @returns {Object} - The settings
+ * @throws {Error} - With error.validationErrors
+ */
+function validateEndpointing(settings) {
+    if (settings.endpointing === undefined || isFluxModel(settings.listenModel)) {
+        return settings;
+    }
+
+    const errors = [{ path: 'endpointing', message: `needs a Flux listen model such as flux-general-en, ${settings.listenModel || 'the listen model'} ends turns on its own` }];
+    const error = new Error(`Invalid session settings:\n${formatErrors(errors)}`);
+    error.validationErrors = errors;
+    throw error;
+}
+
+/**
+ * Merge settings, later ones win, think settings are merged field by field
+ * @param {...Object} layers - Settings from the least to the most specific
+ * @returns {Object} - Merged settings
+ */
+function mergeSettings(...layers) {
+    return layers.filter(Boolean).reduce((merged, layer) => {
+        const next = { ...merged, ...layer };
+
+        if (layer.think) {
+            next.think = { ...merged.think, ...layer.think };
+        }
+
+        return next;
+    }, {});
+}
+
+/**
+ * Build the settings of a session
+ * @param {Object} defaults - Settings of the profile and language: { voice, listenModel, greeting, ...profile settings }
+ * @param {Object} requested - Settings block of the init command, may be empty
+ * @param {Array<string>} allowed - Setting paths the client may change
+ * @returns {Object} - Session settings
+ * @throws {Error} - With error.validationErrors if the client's settings are invalid or not allowed
+ */
+function resolveSettings(defaults, requested, allowed = DEFAULT_CLIENT_SETTINGS) {
+    if (requested === undefined || requested === null) {
+        return validateEndpointing(mergeSettings(DEFAULT_SETTINGS, defaults));
+    }
+
+    validateClientSettings(requested, allowed);
+    debug('Client changed settings', requested);
+
+    return validateEndpointing(mergeSettings(DEFAULT_SETTINGS, defaults, requested));
+}
+
+module.exports = {
+    resolveSettings,
+    validateSettings,
+    listSettings,
+    isFluxModel,
+    DEFAULT_SETTINGS,
+    DEFAULT_CLIENT_SETTINGS
+};
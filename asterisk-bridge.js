@@ -39,9 +39,124 @@ const config = {
     },
     server: {
         url: process.env.VOICE_SERVER_URL || 'ws://localhost:3000/asterisk'
-    }
+    },
+    // Optional language menu at the start of a call, e.g. LANGUAGE_MENU="1:en,2:es"
+    languageMenu: {
+        options: parseLanguageMenu(process.env.LANGUAGE_MENU),
+        sound: process.env.LANGUAGE_MENU_SOUND || null,
+        timeoutMs: parseInt(process.env.LANGUAGE_MENU_TIMEOUT_MS || '5000', 10)
+    },
+    // Agent settings for phone calls, e.g. AGENT_SETTINGS='{"listenModel":"flux-general-en","endpointing":1000}'
+    agentSettings: parseAgentSettings(process.env.AGENT_SETTINGS),
+    // Played to the caller while the server reconnects to the agent, e.g. RECONNECT_SOUND=sound:one-moment-please
+    reconnectSound: process.env.RECONNECT_SOUND || null
 };
 
+// Version of the client protocol the bridge speaks, see schemas/client-protocol-v2.schema.json
+const PROTOCOL_VERSION = 2;
+
+/**
+ * Parse the JSON of AGENT_SETTINGS, the voice server validates it against the profile's allow-list
+ * @param {string} value - JSON object or empty
+ * @returns {Object|undefined} - Settings for the init command
+ */
+function parseAgentSettings(value) {
+    if (!value) return undefined;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`AGENT_SETTINGS is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Parse the DTMF digit -> language code pairs of LANGUAGE_MENU
+ * @param {string} value - e.g. "1:en,2:es"
+ * @returns {Map<string, string>} - Digit -> language code
+ */
+function parseLanguageMenu(value) {
+    const menu = new Map();
+
+    String(value || '').split(',').forEach(entry => {
+        const [digit, language] = entry.split(':').map(part => part && part.trim());
+
+        if (digit && language) {
+            menu.set(digit, language);
+        }
+    });
+
+    return menu;
+}
+
+/**
+ * Let the caller pick a language with a key press before the agent starts
+ * Plays LANGUAGE_MENU_SOUND and waits LANGUAGE_MENU_TIMEOUT_MS for one of the LANGUAGE_MENU digits
+ * @param {Object} channel - ARI channel of the caller
+ * @returns {Promise<string|null>} - Chosen language code, or null to use the profile's default
+ */
+function chooseLanguage(channel) {
+    const menu = config.languageMenu.options;
+
+    if (menu.size === 0) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        let timer = null;
+        let menuPlayback = null;
+        let finished = false;
+
+        const onDtmf = (event) => {
+            if (!menu.has(event.digit)) return;
+
+            debug(`Caller on channel ${channel.id} chose language ${menu.get(event.digit)}`);
+            finish(menu.get(event.digit));
+        };
+
+        // A caller who hangs up during the menu does not wait for the timeout
+        const onEnd = () => finish(null);
+
+        // The rest of the menu is not played once the caller chose
+        const stopMenu = () => {
+            if (!menuPlayback) return;
+
+            menuPlayback.stop().catch((err) => {
+                debug(`Could not stop the language menu on channel ${channel.id}: ${err.message}`);
+            });
+            menuPlayback = null;
+        };
+
+        const finish = (language) => {
+            finished = true;
+            clearTimeout(timer);
+            channel.removeListener('ChannelDtmfReceived', onDtmf);
+            channel.removeListener('StasisEnd', onEnd);
+            stopMenu();
+            resolve(language);
+        };
+
+        timer = setTimeout(() => {
+            debug(`No language chosen on channel ${channel.id}, using the default`);
+            finish(null);
+        }, config.languageMenu.timeoutMs);
+
+        channel.on('ChannelDtmfReceived', onDtmf);
+        channel.once('StasisEnd', onEnd);
+
+        if (config.languageMenu.sound) {
+            channel.play({ media: config.languageMenu.sound }).then((playback) => {
+                menuPlayback = playback;
+
+                // The caller pressed a key before the menu started
+                if (finished) stopMenu();
+            }).catch((err) => {
+                console.error(`Error playing language menu to channel ${channel.id}:`, err);
+            });
+        }
+    });
+}
+
 // Active calls map: channelId -> call state
 const activeCalls = new Map();
 
@@ -51,10 +166,17 @@ class CallState {
         this.channel = channel;
         this.bridge = bridge;
         this.serverWs = null;
+        this.language = null;
+        // Set once the call ended, an ended call does not connect or reconnect to the server
+        this.ended = false;
+        // Token from the server's connected status, a reconnect continues the call's session with it
+        this.resumeToken = null;
         this.isConnected = false;
         this.isAgentReady = false;
         this.playbackQueue = [];
         this.isPlaying = false;
+        // ARI playback of the file being played, stopped when the caller interrupts the agent
+        this.currentPlayback = null;
         this.pingInterval = null;
         this.lastPongTime = Date.now();
         
@@ -125,32 +247,33 @@ class CallState {
     
     // Connect to the voice agent server
     async connectToServer() {
+        if (this.ended) {
+            debug(`Call on channel ${this.channel.id} ended, not connecting to the voice server`);
+            return;
+        }
+
         debug(`Connecting to voice server for channel ${this.channel.id}`);
         debug(`Using WebSocket URL: ${config.server.url}`);
         
         // Create WebSocket connection to our voice agent server
-        this.serverWs = new WebSocket(config.server.url);
+        // The handlers use their own socket, cleanup clears this.serverWs before a closed socket reports its error
+        const serverWs = new WebSocket(config.server.url);
+        this.serverWs = serverWs;
         
         // Set up event handlers
-        this.serverWs.on('open', () => {
+        serverWs.on('open', () => {
             debug(`Connected to voice server for channel ${this.channel.id}`);
-            debug(`WebSocket readyState: ${this.serverWs.readyState}`);
+            debug(`WebSocket readyState: ${serverWs.readyState}`);
             this.isConnected = true;
             
             // Start ping/pong
             this.startPingPong();
             
-            // Initialize the agent
-            const initMessage = {
-                type: 'init',
-                channelId: this.channel.id
-            };
-            
-            debug(`Sending init message: ${JSON.stringify(initMessage)}`);
-            this.serverWs.send(JSON.stringify(initMessage));
+            // Initialize the agent, after a reconnect the token still is the one of the previous connection
+            this.sendInit(this.resumeToken);
         });
         
-        this.serverWs.on('message', (data) => {
+        serverWs.on('message', (data) => {
 			try {
 				// Check if it's a binary message
 				if (data instanceof Buffer) {
@@ -196,7 +319,7 @@ class CallState {
 			}
 		});
         
-        this.serverWs.on('close', (code, reason) => {
+        serverWs.on('close', (code, reason) => {
             debug(`Disconnected from voice server for channel ${this.channel.id}`);
             debug(`Close code: ${code}, reason: ${reason || 'No reason provided'}`);
             this.isConnected = false;
@@ -212,10 +335,10 @@ class CallState {
             }
         });
         
-        this.serverWs.on('error', (error) => {
+        serverWs.on('error', (error) => {
             console.error(`WebSocket error for channel ${this.channel.id}:`, error);
             debug(`WebSocket error details: ${error.message}`);
-            debug(`Current readyState: ${this.serverWs.readyState}`);
+            debug(`Current readyState: ${serverWs.readyState}`);
             
             // Try to reconnect after error
             setTimeout(() => {
@@ -227,6 +350,29 @@ class CallState {
         });
     }
     
+    /**
+     * Initialize the agent for the call
+     * @param {string} [resumeToken] - Token of a dropped connection, the server continues its session and cart
+     */
+    sendInit(resumeToken) {
+        const initMessage = {
+            type: 'init',
+            protocolVersion: PROTOCOL_VERSION,
+            channelId: this.channel.id,
+            callerNumber: (this.channel.caller && this.channel.caller.number) || null,
+            // The server picks the agent profile from the number that was dialed
+            dialedNumber: (this.channel.dialplan && this.channel.dialplan.exten) || null,
+            // Language picked from the language menu, the server falls back to the profile's default
+            language: this.language || undefined,
+            // Telephony settings such as a phone call listen model, merged over the profile's defaults
+            settings: config.agentSettings,
+            resumeToken: resumeToken || undefined
+        };
+        
+        debug(`Sending init message: ${JSON.stringify(initMessage)}`);
+        this.serverWs.send(JSON.stringify(initMessage));
+    }
+    
     // Handle messages from the voice agent server
     async handleServerMessage(data) {
         try {
@@ -293,8 +439,20 @@ class CallState {
                 this.handleActionMessage(message);
                 break;
                 
+            case 'protocol':
+                debug(`Server speaks protocol version ${message.version} for channel ${this.channel.id}`);
+                break;
+                
             case 'error':
-                console.error(`Error from server for channel ${this.channel.id}:`, message.message);
+                console.error(`Error from server for channel ${this.channel.id} (${message.code}):`, message.message);
+                if (message.details) {
+                    console.error(message.details.map(detail => `  ${detail.path}: ${detail.message}`).join('\n'));
+                }
+
+                // The session of the dropped connection is gone, the caller starts over
+                if (message.code === 'resume_failed') {
+                    this.sendInit();
+                }
                 break;
                 
             case 'pong':
@@ -306,6 +464,11 @@ class CallState {
                 debug(`Audio complete for channel ${this.channel.id}`);
                 break;
                 
+            case 'userStartedSpeaking':
+                // Barge-in: the caller talks over the agent
+                await this.flushPlayback();
+                break;
+                
             default:
                 debug(`Unknown message type: ${message.type}`);
         }
@@ -317,12 +480,19 @@ class CallState {
         debug(`- Status: ${message.status}`);
         debug(`- Message: ${message.message}`);
         
-        if (message.status === 'ready') {
+        if (message.status === 'connected' && message.resumeToken) {
+            this.resumeToken = message.resumeToken;
+        } else if (message.status === 'ready') {
             debug(`🟢 AGENT READY for channel ${this.channel.id} - STARTING AUDIO STREAMING`);
             this.isAgentReady = true;
             
             // Start streaming audio from the channel
             await this.startStreaming();
+        } else if (message.status === 'reconnecting' && config.reconnectSound) {
+            // The caller would only hear silence, the stream keeps running and the server drops it meanwhile
+            this.channel.play({ media: config.reconnectSound }).catch((err) => {
+                console.error(`Error playing reconnect sound to channel ${this.channel.id}:`, err);
+            });
         }
     }
     
@@ -351,6 +521,12 @@ class CallState {
             const functionCallId = action.function_call_id;
             const functionName = action.function_name;
             
+            // Cart functions are answered by the server, we only get the resulting state
+            if (action.type === 'cart_updated') {
+                debug(`Cart ${action.event} for channel ${this.channel.id}: ${action.cart.itemCount} items, subtotal $${action.cart.subtotal}`);
+                return;
+            }
+            
             // Send action response back to server
             if (functionCallId) {
                 this.sendActionResponse(functionCallId, { success: true }, functionName);
@@ -370,7 +546,7 @@ class CallState {
                 type: 'action_response',
                 function_call_id: functionCallId,
                 function_name: functionName,
-                response: {
+                output: {
                     confirmation: "request processed"
                 }
             };
@@ -538,8 +714,8 @@ class CallState {
 					// Convert from linear PCM to μ-law for Asterisk
 					const convertedAudio = this.convertToMulaw(data);
 					
-					// Send to Asterisk via RTP
-					this.rtpServer.sendAudioData(convertedAudio, this.rtpClient);
+					// Send to Asterisk via RTP, paced so a barge-in can drop what is not played yet
+					this.rtpServer.queueAudioData(convertedAudio, this.rtpClient);
 					return;
 				}
 			}
@@ -768,6 +944,7 @@ class CallState {
 				// First try playing as a file path
 				const playback = await this.channel.play({ media: `sound:${audioFile}` });
 				debug(`Playback started with sound:${audioFile}`);
+				this.currentPlayback = playback;
 				
 				// When playback finishes, play the next file
 				playback.once('PlaybackFinished', () => {
@@ -781,6 +958,10 @@ class CallState {
 						console.error(`Error deleting temp file ${audioFile}:`, error);
 					}
 					
+					// Stopped by a barge-in, the queue was flushed with it
+					if (this.currentPlayback !== playback) return;
+					this.currentPlayback = null;
+					
 					// Play next file
 					this.playNextInQueue();
 				});
@@ -791,6 +972,7 @@ class CallState {
 				try {
 					const playback = await this.channel.play({ media: `file:${audioFile}` });
 					debug(`Playback started with file:${audioFile}`);
+					this.currentPlayback = playback;
 					
 					// When playback finishes, play the next file
 					playback.once('PlaybackFinished', () => {
@@ -803,6 +985,9 @@ class CallState {
 							console.error(`Error deleting temp file ${audioFile}:`, error);
 						}
 						
+						if (this.currentPlayback !== playback) return;
+						this.currentPlayback = null;
+						
 						// Play next file
 						this.playNextInQueue();
 					});
@@ -829,9 +1014,48 @@ class CallState {
 		}
 	}
     
+    // Stop the agent's audio when the caller talks over it: the ARI playback, the queued files and the RTP packets not sent yet
+    async flushPlayback() {
+		const playback = this.currentPlayback;
+		const queuedFiles = this.playbackQueue.length;
+		
+		this.currentPlayback = null;
+		this.deleteQueuedFiles();
+		this.isPlaying = false;
+		
+		const droppedBytes = this.rtpServer ? this.rtpServer.clearSendQueue() : 0;
+		debug(`Flushed playback for channel ${this.channel.id}: ${queuedFiles} queued files, ${droppedBytes} bytes of RTP audio`);
+		
+		if (playback) {
+			try {
+				await playback.stop();
+			} catch (error) {
+				// Already finished
+				debug(`Could not stop playback for channel ${this.channel.id}: ${error.message}`);
+			}
+		}
+	}
+    
+    // Delete the temp files waiting in the playback queue
+    deleteQueuedFiles() {
+		this.playbackQueue.forEach(file => {
+			try {
+				if (fs.existsSync(file)) {
+					debug(`Deleting temp file: ${file}`);
+					fs.unlinkSync(file);
+				}
+			} catch (error) {
+				console.error(`Error deleting temp file ${file}:`, error);
+			}
+		});
+		
+		this.playbackQueue = [];
+	}
+    
     // Clean up when the call ends
     cleanup() {
 		debug(`Cleaning up call state for channel ${this.channel.id}`);
+		this.ended = true;
 		
 		// Stop audio generation
 		if (this.audioGenerationInterval) {
@@ -901,18 +1125,7 @@ class CallState {
 		}
 		
 		// Clean up any temp files
-		this.playbackQueue.forEach(file => {
-			try {
-				if (fs.existsSync(file)) {
-					debug(`Deleting temp file: ${file}`);
-					fs.unlinkSync(file);
-				}
-			} catch (error) {
-				console.error(`Error deleting temp file ${file}:`, error);
-			}
-		});
-		
-		this.playbackQueue = [];
+		this.deleteQueuedFiles();
 		
 		debug(`Cleanup complete for channel ${this.channel.id}`);
 	}
@@ -1011,21 +1224,9 @@ function configureARIClient(client) {
             debug(`Creating call state for channel ${channel.id}`);
             const callState = new CallState(channel, bridge);
             activeCalls.set(channel.id, callState);
-            
-            // Connect to the voice agent server
-            debug(`Connecting to voice server for channel ${channel.id}`);
-            await callState.connectToServer();
-            
-            // Play welcome message
-            try {
-                debug(`Playing welcome message to channel ${channel.id}`);
-                await channel.play({ media: 'sound:hello-world' });
-                debug(`Played welcome message to channel ${channel.id}`);
-            } catch (err) {
-                console.error(`Error playing welcome message to channel ${channel.id}:`, err);
-            }
-            
-            // Handle channel ending
+
+            // Handle channel ending, registered before the language menu and the connect so a caller who
+            // hangs up during either is cleaned up
             channel.once('StasisEnd', () => {
 				debug(`Call ended on channel ${channel.id}`);
 				
@@ -1068,6 +1269,18 @@ function configureARIClient(client) {
 					console.error(`Error destroying bridge ${bridge.id}:`, err);
 				});
 			});
+
+            // Ask for a language first when a language menu is configured
+            callState.language = await chooseLanguage(channel);
+
+            if (callState.ended) {
+                debug(`Caller on channel ${channel.id} hung up during the language menu`);
+                return;
+            }
+
+            // Connect to the voice agent server, the agent greets the caller once the session is ready
+            debug(`Connecting to voice server for channel ${channel.id}`);
+            await callState.connectToServer();
         } catch (error) {
             console.error(`Error processing new call on channel ${channel.id}:`, error);
             console.error(error.stack);
@@ -0,0 +1,81 @@
+// audit-log.js - Append-only record of admin changes in DATA_DIR/audit/admin.jsonl
+// One JSON line per change: who made it, when, what it touched and the values before and after
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[AUDIT] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[AUDIT] ${message}`);
+        }
+    }
+}
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+class AuditLog {
+    /**
+     * @param {string} file - JSON Lines file the entries are appended to
+     */
+    constructor(file = path.join(DATA_DIR, 'audit', 'admin.jsonl')) {
+        this.file = file;
+    }
+
+    /**
+     * Append an entry
+     * @param {Object} details - { actor, action, profile, target, before, after, ip }
+     * @returns {Object} - The stored entry with its id and timestamp
+     */
+    record(details) {
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            actor: details.actor,
+            action: details.action,
+            profile: details.profile || null,
+            target: details.target,
+            before: details.before === undefined ? null : details.before,
+            after: details.after === undefined ? null : details.after,
+            ip: details.ip || null
+        };
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+        debug(`${entry.actor} ${entry.action} ${entry.target}`, { profile: entry.profile });
+
+        return entry;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {Object} filters - { profile, actor, limit }
+     * @returns {Array<Object>} - Matching entries
+     */
+    list(filters = {}) {
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+
+        const entries = fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+            .filter(entry => !filters.profile || entry.profile === filters.profile)
+            .filter(entry => !filters.actor || entry.actor === filters.actor)
+            .reverse();
+
+        const limit = parseInt(filters.limit, 10);
+
+        return limit > 0 ? entries.slice(0, limit) : entries;
+    }
+}
+
+module.exports = {
+    AuditLog
+};
@@ -0,0 +1,221 @@
+// business-hours.js - Timezone-aware opening hours with holiday overrides
+// Answers "are we open now, when do we close and when do we open next" in the restaurant's timezone
+
+// How far ahead to look for the next opening
+const MAX_DAYS_AHEAD = 14;
+
+/**
+ * Get the restaurant's timezone, RESTAURANT_TIMEZONE wins over the restaurant data
+ * @param {Object} data - Restaurant data
+ * @returns {string} - IANA timezone name
+ */
+function getTimezone(data) {
+    return process.env.RESTAURANT_TIMEZONE || (data && data.timezone) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Get the wall-clock date and time in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { year, month, day, weekday, hour, minute, dateKey, minutes }
+ */
+function getLocalDateTime(date, timezone) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const hour = parseInt(parts.hour, 10);
+    const minute = parseInt(parts.minute, 10);
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        weekday: parts.weekday,
+        hour: hour,
+        minute: minute,
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: hour * 60 + minute
+    };
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Check whether a day's hours run past midnight, e.g. 18:00 to 02:00
+ * @param {Object} hours - { open, close, closed } from getHoursForDay
+ * @returns {boolean}
+ */
+function isOvernight(hours) {
+    return !hours.closed && toMinutes(hours.close) < toMinutes(hours.open);
+}
+
+/**
+ * Get a calendar day relative to a local date
+ * @param {Object} local - Local date from getLocalDateTime
+ * @param {number} offset - Days from the local date, negative for earlier days
+ * @returns {Object} - { dateKey, weekday, ... } of that day
+ */
+function getCalendarDay(local, offset) {
+    // Noon avoids DST edges when stepping through days
+    return getLocalDateTime(new Date(Date.UTC(local.year, local.month - 1, local.day + offset, 12)), 'UTC');
+}
+
+/**
+ * Format "HH:MM" the way the agent should say it
+ * @param {string} time - Time of day, e.g. "22:00"
+ * @returns {string} - Spoken time, e.g. "10 PM"
+ */
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+
+    return minutes ? `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}` : `${displayHours} ${suffix}`;
+}
+
+/**
+ * Get the opening hours for a calendar day, holidays override the weekly hours
+ * Holidays match on "YYYY-MM-DD" for one date or "MM-DD" for every year
+ * @param {Object} data - Restaurant data
+ * @param {string} dateKey - Date as "YYYY-MM-DD"
+ * @param {string} weekday - Weekday name
+ * @returns {Object} - { open, close, closed, holiday }
+ */
+function getHoursForDay(data, dateKey, weekday) {
+    const holidays = (data && data.holidays) || [];
+    const holiday = holidays.find(h => h.date === dateKey) ||
+        holidays.find(h => h.date === dateKey.substring(5));
+
+    if (holiday) {
+        return {
+            open: holiday.open || null,
+            close: holiday.close || null,
+            closed: Boolean(holiday.closed) || !holiday.open || !holiday.close,
+            holiday: holiday.name || null
+        };
+    }
+
+    const hours = data && data.hours && data.hours[weekday];
+
+    return {
+        open: hours ? hours.open : null,
+        close: hours ? hours.close : null,
+        closed: !hours || !hours.open || !hours.close,
+        holiday: null
+    };
+}
+
+/**
+ * Find the next time the restaurant opens
+ * @param {Object} data - Restaurant data
+ * @param {Date} now - Current time
+ * @param {string} timezone - Restaurant timezone
+ * @returns {Object|null} - { date, weekday, time, holiday } or null if not within two weeks
+ */
+function findNextOpening(data, now, timezone) {
+    const local = getLocalDateTime(now, timezone);
+
+    for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+        const day = getCalendarDay(local, offset);
+        const hours = getHoursForDay(data, day.dateKey, day.weekday);
+
+        if (hours.closed) continue;
+        if (offset === 0 && local.minutes >= toMinutes(hours.open)) continue;
+
+        return {
+            date: day.dateKey,
+            weekday: day.weekday,
+            time: hours.open,
+            isToday: offset === 0,
+            isTomorrow: offset === 1
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the restaurant's current status
+ * @param {Object} data - Restaurant data
+ * @param {Date} now - Current time, defaults to now
+ * @returns {Object} - { isOpen, timezone, localDate, localTime, weekday, today, closesAt, nextOpening, message }
+ */
+function getBusinessStatus(data, now = new Date()) {
+    const timezone = getTimezone(data);
+    const local = getLocalDateTime(now, timezone);
+    const today = getHoursForDay(data, local.dateKey, local.weekday);
+
+    // Hours past midnight count toward the day the restaurant opened
+    const previous = getCalendarDay(local, -1);
+    const yesterday = getHoursForDay(data, previous.dateKey, previous.weekday);
+    const openSinceYesterday = isOvernight(yesterday) && local.minutes < toMinutes(yesterday.close);
+
+    const openToday = !today.closed &&
+        local.minutes >= toMinutes(today.open) &&
+        (isOvernight(today) || local.minutes < toMinutes(today.close));
+
+    const isOpen = openSinceYesterday || openToday;
+    const current = openSinceYesterday ? yesterday : today;
+    const nextOpening = isOpen ? null : findNextOpening(data, now, timezone);
+
+    return {
+        isOpen: isOpen,
+        timezone: timezone,
+        localDate: local.dateKey,
+        localTime: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+        minutesNow: local.minutes,
+        weekday: local.weekday,
+        today: today,
+        closesAt: isOpen ? current.close : null,
+        nextOpening: nextOpening,
+        message: describeStatus(isOpen, current, nextOpening)
+    };
+}
+
+/**
+ * Describe the status the way the agent should say it
+ * @returns {string} - e.g. "We are open now and close at 10 PM."
+ */
+function describeStatus(isOpen, today, nextOpening) {
+    if (isOpen) {
+        return `We are open now and close at ${formatTime(today.close)}.`;
+    }
+
+    const reason = today.holiday ? ` for ${today.holiday}` : '';
+
+    if (!nextOpening) {
+        return `We are closed right now${reason}.`;
+    }
+
+    const when = nextOpening.isToday ? 'today' : nextOpening.isTomorrow ? 'tomorrow' : `on ${nextOpening.weekday}`;
+
+    return `We are closed right now${reason}. We open again ${when} at ${formatTime(nextOpening.time)}.`;
+}
+
+module.exports = {
+    getTimezone,
+    getLocalDateTime,
+    getBusinessStatus,
+    toMinutes,
+    formatTime
+};
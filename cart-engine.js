@@ -0,0 +1,377 @@
+// cart-engine.js - Server-side cart for a single agent session
+// Runs the cart functions requested by the agent and keeps the authoritative line items
+const { priceLineItem, priceOrder } = require('./pricing-engine');
+const { MenuResolver, describeCandidates } = require('./menu-resolver');
+const { getLocale } = require('./locales');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[CART] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[CART] ${message}`);
+        }
+    }
+}
+
+class CartEngine {
+    /**
+     * @param {Object} restaurantData - Restaurant data used to look up menu items and prices
+     * @param {Locale} locale - Language of the session, for questions back to the customer
+     */
+    constructor(restaurantData, locale = getLocale()) {
+        this.restaurantData = restaurantData;
+        this.locale = locale;
+        this.menuResolver = new MenuResolver(restaurantData);
+        this.items = [];
+        this.nextLineId = 1;
+
+        // Deals applied to the cart, priced by the pricing engine
+        this.appliedDeals = [];
+
+        // Whether the order is for delivery, unknown until checkout
+        this.delivery = false;
+    }
+
+    /**
+     * Use reloaded restaurant data and reprice the lines already in the cart
+     * @param {Object} restaurantData - Restaurant data
+     */
+    setRestaurantData(restaurantData) {
+        this.restaurantData = restaurantData;
+        this.menuResolver = new MenuResolver(restaurantData);
+
+        const allItems = (restaurantData && restaurantData.allMenuItems) || [];
+
+        this.items.forEach(line => {
+            const menuItem = allItems.find(item => item.id === line.menuItemId);
+
+            if (menuItem) {
+                line.price = menuItem.price;
+            }
+
+            line.totalPrice = this.calculateLineTotal(line);
+        });
+    }
+
+    /**
+     * Add a menu item to the cart
+     * @param {Object} args - Function arguments from the agent (item, quantity, size, crust, customizations)
+     * @returns {Object} - Result with the new line item and the updated cart
+     */
+    addItem(args = {}) {
+        const resolution = this.menuResolver.resolve(args.item);
+
+        if (resolution.status !== 'matched') {
+            return this.resolutionFailure(args.item, resolution, 'is not on our menu');
+        }
+
+        const menuItem = resolution.item;
+
+        // "two large pepperoni" in the item name counts when the agent did not pass them
+        const quantity = args.quantity !== undefined ? args.quantity : resolution.quantity || 1;
+        const size = args.size || resolution.size || null;
+        const validationError = this.validateOptions({ ...args, quantity, size });
+
+        if (validationError) {
+            return this.failure(validationError);
+        }
+
+        const line = {
+            id: `line-${this.nextLineId++}`,
+            menuItemId: menuItem.id,
+            category: resolution.category,
+            name: menuItem.name,
+            price: menuItem.price,
+            quantity: quantity,
+            size: size,
+            crust: args.crust || null,
+            customizations: args.customizations || []
+        };
+        line.totalPrice = this.calculateLineTotal(line);
+
+        this.items.push(line);
+        debug(`Added ${line.quantity}x ${line.name}`, line);
+
+        return this.success('added', line);
+    }
+
+    /**
+     * Modify an existing line item in the cart
+     * @param {Object} args - Function arguments from the agent (item, quantity, size, crust, customizations)
+     * @returns {Object} - Result with the modified line item and the updated cart
+     */
+    modifyItem(args = {}) {
+        const { line, failure } = this.findLine(args.item);
+
+        if (!line) {
+            return failure;
+        }
+
+        const validationError = this.validateOptions(args);
+
+        if (validationError) {
+            return this.failure(validationError);
+        }
+
+        if (args.quantity === 0) {
+            return this.removeItem(args);
+        }
+
+        if (args.quantity !== undefined) {
+            line.quantity = args.quantity;
+        }
+
+        if (args.size !== undefined) {
+            line.size = args.size;
+        }
+
+        if (args.crust !== undefined) {
+            line.crust = args.crust;
+        }
+
+        if (args.customizations !== undefined) {
+            line.customizations = args.customizations;
+        }
+
+        line.totalPrice = this.calculateLineTotal(line);
+        this.dropDealsFor(line);
+        debug(`Modified ${line.name}`, line);
+
+        return this.success('modified', line);
+    }
+
+    /**
+     * Remove a line item from the cart
+     * @param {Object} args - Function arguments from the agent (item)
+     * @returns {Object} - Result with the removed line item and the updated cart
+     */
+    removeItem(args = {}) {
+        const { line, failure } = this.findLine(args.item);
+
+        if (!line) {
+            return failure;
+        }
+
+        this.items = this.items.filter(item => item !== line);
+        this.dropDealsFor(line);
+        debug(`Removed ${line.name}`);
+
+        return this.success('removed', line);
+    }
+
+    /**
+     * Remove every line item from the cart
+     * @returns {Object} - Result with the number of removed lines and the empty cart
+     */
+    clear() {
+        const itemsRemoved = this.items.length;
+        this.items = [];
+        this.appliedDeals = [];
+        debug(`Cleared ${itemsRemoved} items`);
+
+        return {
+            success: true,
+            event: 'cleared',
+            itemsRemoved: itemsRemoved,
+            cart: this.getSnapshot()
+        };
+    }
+
+    /**
+     * Read the cart without changing it
+     * @returns {Object} - Result with the current cart
+     */
+    getContents() {
+        return {
+            success: true,
+            event: 'contents',
+            cart: this.getSnapshot()
+        };
+    }
+
+    /**
+     * Apply a deal chosen by the promotion engine to the cart
+     * @param {Object} deal - Applied deal (id, name, price, covers: [{ lineId, quantity }])
+     * @returns {Object} - Result with the applied deal and the updated cart
+     */
+    applyDeal(deal) {
+        this.appliedDeals.push(deal);
+        debug(`Applied deal ${deal.name}`, deal);
+
+        return {
+            success: true,
+            event: 'deal_applied',
+            deal: deal,
+            cart: this.getSnapshot()
+        };
+    }
+
+    /**
+     * Choose between delivery and pickup, this changes the delivery fee in the pricing
+     * @param {boolean} delivery - True for delivery, false for pickup
+     */
+    setDelivery(delivery) {
+        this.delivery = Boolean(delivery);
+    }
+
+    /**
+     * Price the cart with the pricing engine
+     * @returns {Object} - Itemized breakdown (see pricing-engine.js priceOrder)
+     */
+    getPricing() {
+        return priceOrder(this.items, this.restaurantData, {
+            delivery: this.delivery,
+            deals: this.appliedDeals
+        });
+    }
+
+    /**
+     * Get a plain copy of the cart suitable for sending to the agent or a client
+     * @returns {Object} - Line items, item count, subtotal and the full pricing breakdown
+     */
+    getSnapshot() {
+        const items = this.items.map(line => ({ ...line, customizations: [...line.customizations] }));
+        const pricing = this.getPricing();
+
+        return {
+            items: items,
+            itemCount: items.reduce((total, line) => total + line.quantity, 0),
+            subtotal: pricing.subtotal,
+            total: pricing.total,
+            pricing: pricing
+        };
+    }
+
+    /**
+     * Find a line item in the cart by the name the customer used
+     * Only menu items already in the cart are considered when resolving the name
+     * @param {string} name - Item name as spoken by the customer
+     * @returns {Object} - { line } or { line: null, failure } with the failure result to return
+     */
+    findLine(name) {
+        const searchName = String(name || '').toLowerCase().trim();
+        const byName = this.items.find(line => line.name.toLowerCase() === searchName);
+        if (byName) return { line: byName };
+
+        const resolution = this.menuResolver.resolve(name, {
+            itemIds: this.items.map(line => line.menuItemId)
+        });
+
+        if (resolution.status !== 'matched') {
+            return { line: null, failure: this.resolutionFailure(name, resolution, 'is not in the cart') };
+        }
+
+        return { line: this.items.find(line => line.menuItemId === resolution.item.id) };
+    }
+
+    /**
+     * Check quantity, size and customizations against the restaurant data
+     * @param {Object} options - Options to validate
+     * @returns {string|null} - Error message or null if the options are valid
+     */
+    validateOptions({ quantity, size, crust, customizations }) {
+        const customizationData = (this.restaurantData && this.restaurantData.customizations) || {};
+
+        if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+            return `${quantity} is not a valid quantity`;
+        }
+
+        if (size && customizationData.sizes &&
+            !customizationData.sizes.some(s => s.name.toLowerCase() === size.toLowerCase())) {
+            return `${size} is not an available size`;
+        }
+
+        if (crust && customizationData.crusts &&
+            !customizationData.crusts.some(c => c.toLowerCase() === crust.toLowerCase())) {
+            return `${crust} is not an available crust`;
+        }
+
+        if (customizations && customizationData.toppings) {
+            const unknown = customizations.filter(name =>
+                !customizationData.toppings.some(t => t.name.toLowerCase() === String(name).toLowerCase()));
+
+            if (unknown.length > 0) {
+                return `${unknown.join(', ')} ${unknown.length === 1 ? 'is' : 'are'} not available as a topping`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Calculate the total price for a line item
+     * @param {Object} line - Line item
+     * @returns {number} - Total price
+     */
+    calculateLineTotal(line) {
+        return priceLineItem(line, this.restaurantData).lineTotal;
+    }
+
+    /**
+     * Drop applied deals that covered a line which is no longer in the cart
+     * @param {Object} line - Removed line item
+     */
+    dropDealsFor(line) {
+        this.appliedDeals = this.appliedDeals.filter(deal =>
+            !(deal.covers || []).some(cover => cover.lineId === line.id));
+    }
+
+    success(event, line) {
+        return {
+            success: true,
+            event: event,
+            item: { ...line, customizations: [...line.customizations] },
+            cart: this.getSnapshot()
+        };
+    }
+
+    failure(error, details = {}) {
+        debug(`Cart operation failed: ${error}`);
+
+        return {
+            success: false,
+            error: error,
+            ...details,
+            cart: this.getSnapshot()
+        };
+    }
+
+    /**
+     * Get the name of a menu item in the session language
+     * @param {string} id - Menu item ID
+     * @param {string} name - Name to use when the item has no translation
+     * @returns {string} - Translated or original name
+     */
+    getLocalizedName(id, name) {
+        const items = (this.restaurantData && this.restaurantData.allMenuItems) || [];
+        const item = items.find(menuItem => menuItem.id === id);
+
+        return (item && item.translations && item.translations[this.locale.code]) || name;
+    }
+
+    /**
+     * Build the failure result for a name the menu resolver could not settle
+     * @param {string} name - Item name as spoken by the customer
+     * @param {Object} resolution - Result of MenuResolver.resolve
+     * @param {string} notFound - Reason when nothing matched, e.g. "is not on our menu"
+     * @returns {Object} - Failure result, with ranked candidates when the name was ambiguous
+     */
+    resolutionFailure(name, resolution, notFound) {
+        if (resolution.status === 'ambiguous') {
+            return this.failure(`"${name}" could be more than one item`, {
+                candidates: resolution.candidates,
+                clarification: describeCandidates(resolution.candidates.map(candidate => ({
+                    ...candidate,
+                    name: this.getLocalizedName(candidate.id, candidate.name)
+                })), this.locale)
+            });
+        }
+
+        return this.failure(`"${name || ''}" ${notFound}`);
+    }
+}
+
+module.exports = CartEngine;
@@ -0,0 +1,262 @@
+// client-protocol.js - The versioned JSON protocol between clients and the server
+// Every command and event has a schema in schemas/client-protocol-v<version>.schema.json. The version is
+// negotiated by init: clients without a protocolVersion speak version 1, the protocol the web page and the
+// Asterisk bridge used before it was versioned. Commands of older versions are upgraded to the latest
+// shape here, so the servers only handle one, and events they do not know are held back from them.
+
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('./schema-validator');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[PROTOCOL] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[PROTOCOL] ${message}`);
+        }
+    }
+}
+
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+// The latest version, and the one of every client whose init has no protocolVersion
+const PROTOCOL_VERSION = 2;
+const LEGACY_VERSION = 1;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// Machine-readable codes of error events
+const ERROR_CODES = {
+    INVALID_JSON: 'invalid_json',
+    INVALID_MESSAGE: 'invalid_message',
+    UNKNOWN_COMMAND: 'unknown_command',
+    INVALID_COMMAND: 'invalid_command',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    INVALID_SETTINGS: 'invalid_settings',
+    RESUME_FAILED: 'resume_failed',
+    AGENT_NOT_READY: 'agent_not_ready',
+    CONFIGURATION_FAILED: 'configuration_failed',
+    AGENT_ERROR: 'agent_error',
+    SERVER_ERROR: 'server_error'
+};
+
+const schemas = {};
+
+/**
+ * Get the schema of a protocol version
+ * @param {number} version - Protocol version
+ * @returns {Object} - Schema with commands and events keyed by type
+ */
+function getSchema(version) {
+    if (!schemas[version]) {
+        schemas[version] = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `client-protocol-v${version}.schema.json`), 'utf8'));
+    }
+
+    return schemas[version];
+}
+
+/**
+ * Create an error for the client
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Readable message
+ * @param {Array<Object>} details - { path, message } of each problem
+ * @returns {Error} - With error.code and error.validationErrors
+ */
+function createProtocolError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+
+    if (details) {
+        error.validationErrors = details;
+    }
+
+    return error;
+}
+
+/**
+ * Tell a JSON command from audio
+ * Text frames are commands. Some clients send commands as binary frames, those start with '{' and parse
+ * @param {Buffer} data - WebSocket message
+ * @param {boolean} isBinary - True for a binary frame
+ * @returns {Object} - { text } for a command, { audio } for audio
+ */
+function readFrame(data, isBinary) {
+    if (!isBinary) {
+        return { text: data.toString() };
+    }
+
+    // 123 is '{', audio that starts with it does not parse
+    if (data[0] === 123) {
+        try {
+            JSON.parse(data.toString());
+            return { text: data.toString() };
+        } catch (error) {
+            // Audio
+        }
+    }
+
+    return { audio: data };
+}
+
+/**
+ * Pick the protocol version an init command asks for
+ * @param {Object} init - Init command
+ * @returns {number} - Protocol version
+ * @throws {Error} - unsupported_version
+ */
+function negotiateVersion(init) {
+    if (init.protocolVersion === undefined) {
+        return LEGACY_VERSION;
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(init.protocolVersion)) {
+        throw createProtocolError(
+            ERROR_CODES.UNSUPPORTED_VERSION,
+            `Protocol version ${JSON.stringify(init.protocolVersion)} is not supported`,
+            [{ path: 'protocolVersion', message: `must be one of ${SUPPORTED_VERSIONS.join(', ')}` }]
+        );
+    }
+
+    return init.protocolVersion;
+}
+
+/**
+ * Bring a command of an older version to the latest shape
+ * @param {Object} command - Valid command
+ * @param {number} version - Its protocol version
+ * @returns {Object} - Command in the latest shape
+ */
+function upgradeCommand(command, version) {
+    if (version >= PROTOCOL_VERSION) {
+        return command;
+    }
+
+    switch (command.type) {
+        case 'init':
+            return { ...command, protocolVersion: LEGACY_VERSION };
+        case 'action_response': {
+            const { response, ...rest } = command;
+            return { ...rest, output: response };
+        }
+        default:
+            return command;
+    }
+}
+
+/**
+ * Parse and validate a command
+ * Init is checked against the version it asks for, everything else against the connection's version
+ * @param {string} text - JSON text of the command
+ * @param {number} version - Protocol version of the connection
+ * @returns {Object} - Command in the latest shape, init has its negotiated protocolVersion
+ * @throws {Error} - With error.code from ERROR_CODES, error.validationErrors and error.command once the type is known
+ */
+function parseCommand(text, version = LEGACY_VERSION) {
+    let command;
+
+    try {
+        command = JSON.parse(text);
+    } catch (error) {
+        throw createProtocolError(ERROR_CODES.INVALID_JSON, `Message is not valid JSON: ${error.message}`);
+    }
+
+    if (!command || typeof command !== 'object' || Array.isArray(command) || typeof command.type !== 'string') {
+        throw createProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Message must be a JSON object with a type',
+            [{ path: 'type', message: 'is required' }]);
+    }
+
+    try {
+        const commandVersion = command.type === 'init' ? negotiateVersion(command) : version;
+        const schema = getSchema(commandVersion);
+
+        if (!schema.commands[command.type]) {
+            throw createProtocolError(ERROR_CODES.UNKNOWN_COMMAND, `Unknown command "${command.type}"`,
+                [{ path: 'type', message: `must be one of ${Object.keys(schema.commands).join(', ')}` }]);
+        }
+
+        const result = validate(command, { ...schema, $ref: `#/commands/${command.type}` });
+
+        if (!result.valid) {
+            debug(`Rejected ${command.type} command:\n${formatErrors(result.errors)}`);
+            throw createProtocolError(ERROR_CODES.INVALID_COMMAND, `Invalid ${command.type} command`, result.errors);
+        }
+
+        return upgradeCommand(command, commandVersion);
+    } catch (error) {
+        // The client can tell which of its commands was rejected
+        error.command = command.type;
+        throw error;
+    }
+}
+
+/**
+ * Build the error event for an error
+ * @param {Error} error - Error, with error.code and error.validationErrors if it has them
+ * @param {string} code - Code for errors without one
+ * @param {string} command - Type of the command that failed, defaults to error.command
+ * @returns {Object} - Error event in the latest shape
+ */
+function createErrorEvent(error, code = ERROR_CODES.SERVER_ERROR, command = error.command) {
+    const event = {
+        type: 'error',
+        code: Object.values(ERROR_CODES).includes(error.code) ? error.code : code,
+        message: error.message || 'Unknown error'
+    };
+
+    if (command) {
+        event.command = command;
+    }
+
+    if (error.validationErrors) {
+        event.details = error.validationErrors;
+    }
+
+    return event;
+}
+
+/**
+ * Bring an event to the shape of a client's version
+ * Version 1 clients ignore fields they do not know, e.g. the code of an error, but log unknown event types
+ * @param {Object} event - Event in the latest shape
+ * @param {number} version - Protocol version of the client
+ * @returns {Object|null} - Event to send, null if the version has no such event
+ */
+function formatEvent(event, version = LEGACY_VERSION) {
+    if (version < PROTOCOL_VERSION && event.type === 'protocol') {
+        return null;
+    }
+
+    return event;
+}
+
+/**
+ * Check an event against the schema of a version
+ * @param {Object} event - Event as sent to the client
+ * @param {number} version - Protocol version
+ * @returns {Object} - { valid, errors: [{ path, message }] }
+ */
+function validateEvent(event, version = PROTOCOL_VERSION) {
+    const schema = getSchema(version);
+
+    if (!event || !schema.events[event.type]) {
+        return { valid: false, errors: [{ path: 'type', message: `unknown event ${JSON.stringify(event && event.type)}` }] };
+    }
+
+    return validate(event, { ...schema, $ref: `#/events/${event.type}` });
+}
+
+module.exports = {
+    readFrame,
+    parseCommand,
+    negotiateVersion,
+    createProtocolError,
+    createErrorEvent,
+    formatEvent,
+    validateEvent,
+    ERROR_CODES,
+    PROTOCOL_VERSION,
+    LEGACY_VERSION,
+    SUPPORTED_VERSIONS
+};
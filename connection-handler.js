@@ -0,0 +1,702 @@
+// connection-handler.js - One client WebSocket, web page or Asterisk bridge, and the agent session behind it
+// Shared by backend-server.js and server.js: the init command picks the profile, language and settings or
+// resumes a dropped session, the agent's events go to the client and the client's audio and commands to the agent.
+// The Asterisk bridge connects on /asterisk, it alone can tell the caller's number
+
+const WebSocket = require('ws');
+const url = require('url');
+const { AgentEvents } = require('@deepgram/sdk');
+
+const { configureDeepgramAgent, OUTPUT_SAMPLE_RATE } = require('./deepgram-config');
+const { AgentSession, STATES } = require('./agent-session');
+const { AgentPlayback } = require('./agent-playback');
+const {
+    readFrame,
+    parseCommand,
+    createProtocolError,
+    createErrorEvent,
+    formatEvent,
+    ERROR_CODES,
+    LEGACY_VERSION,
+    SUPPORTED_VERSIONS
+} = require('./client-protocol');
+const { renderPrompt } = require('./prompt-templates');
+const { getLocale } = require('./locales');
+const { FunctionHandler } = require('./function-handler');
+const { sessionStore, addToHistory } = require('./session-store');
+const { getOrderStore } = require('./order-store');
+const { metrics } = require('./metrics');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[CONNECTION] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[CONNECTION] ${message}`);
+        }
+    }
+}
+
+// How often the audio counters of a connection are logged
+const AUDIO_STATS_INTERVAL_MS = 5000;
+
+// Client id -> audio bytes received from and sent to the client since the last report
+const audioStats = new Map();
+
+/**
+ * Count audio bytes of a client, the first call starts a report every few seconds
+ * @param {string} clientId - Asterisk channel or WebSocket key
+ * @param {string} direction - 'received' from the client or 'sent' to it
+ * @param {number} byteCount - Bytes
+ */
+function trackAudio(clientId, direction, byteCount) {
+    if (!audioStats.has(clientId)) {
+        debug(`Creating audio stats tracker for client ${clientId}`);
+        audioStats.set(clientId, {
+            received: 0,
+            sent: 0,
+            lastReport: Date.now(),
+            reportInterval: setInterval(() => reportAudio(clientId), AUDIO_STATS_INTERVAL_MS)
+        });
+    }
+
+    audioStats.get(clientId)[direction] += byteCount;
+}
+
+/**
+ * Log the audio counters of a client and start counting again
+ * @param {string} clientId - Asterisk channel or WebSocket key
+ */
+function reportAudio(clientId) {
+    const stats = audioStats.get(clientId);
+    if (!stats) return;
+
+    const now = Date.now();
+    const elapsedSec = (now - stats.lastReport) / 1000;
+
+    debug(`Audio stats for client ${clientId}:`);
+    debug(`- Received: ${stats.received} bytes (${Math.round(stats.received / elapsedSec / 1024)} KB/s)`);
+    debug(`- Sent: ${stats.sent} bytes (${Math.round(stats.sent / elapsedSec / 1024)} KB/s)`);
+
+    if (stats.sent === 0) {
+        debug(`WARNING: No audio sent to client in the last ${elapsedSec} seconds, check the agent's audio events`);
+    }
+
+    stats.received = 0;
+    stats.sent = 0;
+    stats.lastReport = now;
+}
+
+/**
+ * Stop counting the audio of a client
+ * @param {string} clientId - Asterisk channel or WebSocket key
+ */
+function cleanupAudioStats(clientId) {
+    const stats = audioStats.get(clientId);
+    if (!stats) return;
+
+    clearInterval(stats.reportInterval);
+    audioStats.delete(clientId);
+}
+
+/**
+ * Create the handler of the WebSocket server's 'connection' event
+ * @param {Object} options - { deepgram: client, profiles: ProfileRegistry, orderStore,
+ *                            updateActiveSessions: move active sessions to reloaded data and prompts }
+ * @returns {Function} - (ws, req) => void
+ */
+function createConnectionHandler(options) {
+    const deepgram = options.deepgram;
+    const profiles = options.profiles;
+    const orderStore = options.orderStore || getOrderStore();
+    const updateActiveSessions = Boolean(options.updateActiveSessions);
+
+    return function handleConnection(ws, req) {
+        debug(`WebSocket connection established on path: ${req.url}`);
+
+        // Parse the URL to check if this is an Asterisk connection
+        const urlParsed = url.parse(req.url, true);
+        const isAsteriskBridge = urlParsed.pathname === '/asterisk';
+
+        debug(`Client connected to WebSocket server. Asterisk Bridge: ${isAsteriskBridge}`);
+
+        // Upstream agent of this connection, replaced on every init
+        let agentSession = null;
+
+        // Protocol version of the client, negotiated by init
+        let protocolVersion = LEGACY_VERSION;
+
+        // Text-only sessions get the agent's replies as transcripts, its audio is not sent
+        let textOnly = false;
+
+        // Asterisk channel of a bridge connection, set by its commands
+        let channelId = null;
+
+        // Token the client can resume this session with after its connection drops
+        const resumeToken = sessionStore.createToken();
+
+        // Kept for the client when the connection drops, set by init and cleared by terminate
+        let resumable = false;
+
+        // Conversation so far, re-primes the agent of a resumed session
+        let history = [];
+
+        // Agent profile of this session, the init command or the dialed number can still change it
+        let profile = profiles.resolve({ query: urlParsed.query, pathname: urlParsed.pathname });
+
+        // Spoken language of the session, the init command or the caller's choice can still change it
+        let language = profiles.resolveLanguage(profile, urlParsed.query.language);
+
+        // Agent settings of the session, the profile's defaults with the init command's settings on top
+        let settings = profiles.getSettings(profile, language);
+
+        /**
+         * Name of the client in the logs and audio stats
+         * @returns {string}
+         */
+        function getClientId() {
+            return isAsteriskBridge
+                ? channelId || 'unknown-asterisk'
+                : req.headers['sec-websocket-key'] || 'unknown-web';
+        }
+
+        function createFunctionHandler(sessionProfile) {
+            return new FunctionHandler(ws, sessionProfile.loader.getData(), {
+                registry: sessionProfile.registry,
+                orderStore: orderStore,
+                locale: getLocale(language),
+                channel: isAsteriskBridge ? 'phone' : 'web'
+            });
+        }
+
+        // Function calls, action responses and the cart are scoped to this connection
+        let functionHandler = createFunctionHandler(profile);
+
+        // Switch this session to reloaded restaurant data if enabled
+        const onRestaurantDataReload = (data) => {
+            functionHandler.updateRestaurantData(data);
+
+            if (agentSession && agentSession.updatePrompt(renderPrompt(profile, data, { language: language }))) {
+                debug('Updated agent prompt with reloaded restaurant data');
+            }
+        };
+
+        if (updateActiveSessions) {
+            profile.loader.on('reload', onRestaurantDataReload);
+        }
+
+        /**
+         * Move the session to another profile before the agent starts
+         * @param {Object} nextProfile - Profile picked from the init command or the dialed number
+         */
+        function switchProfile(nextProfile) {
+            if (nextProfile === profile) return;
+
+            profile.loader.off('reload', onRestaurantDataReload);
+            profile = nextProfile;
+            functionHandler = createFunctionHandler(profile);
+
+            if (updateActiveSessions) {
+                profile.loader.on('reload', onRestaurantDataReload);
+            }
+
+            debug(`Session switched to profile ${profile.id}`);
+        }
+
+        /**
+         * Take over the session of a dropped connection: profile, language, settings, cart and conversation
+         * @param {string} token - Resume token from the dropped connection's connected status
+         * @returns {boolean} - False if no session waits for the token
+         */
+        function resumeSession(token) {
+            const suspended = sessionStore.resume(token);
+
+            if (!suspended) return false;
+
+            profile.loader.off('reload', onRestaurantDataReload);
+            profile = suspended.profile;
+            language = suspended.language;
+            settings = suspended.settings;
+            history = suspended.history;
+            functionHandler = suspended.functionHandler;
+            functionHandler.attachClient(ws);
+
+            if (updateActiveSessions) {
+                functionHandler.updateRestaurantData(profile.loader.getData());
+                profile.loader.on('reload', onRestaurantDataReload);
+            }
+
+            debug(`Resumed session with ${history.length} conversation messages`);
+            return true;
+        }
+
+        /**
+         * Set up a new session from an init command: profile, language and settings
+         * @param {Object} command - Init command
+         * @returns {boolean} - False if the settings were rejected, the client got an error
+         */
+        function setUpSession(command) {
+            switchProfile(profiles.resolve({
+                profile: command.profile,
+                dialedNumber: command.dialedNumber,
+                query: urlParsed.query,
+                pathname: urlParsed.pathname
+            }));
+
+            // A language the profile does not speak falls back to its default language
+            language = profiles.resolveLanguage(profile, command.language || urlParsed.query.language);
+            functionHandler.setLocale(getLocale(language));
+            debug(`Session language is ${language}`);
+
+            // Only the Asterisk bridge knows the caller's number, a web client cannot claim one
+            const callerNumber = isAsteriskBridge ? command.callerNumber : null;
+
+            // A caller whose name is on an earlier order is greeted by name
+            const customer = callerNumber ? orderStore.findCustomer(callerNumber) : null;
+
+            // A client asking for settings it may not change gets an error and keeps its current agent
+            try {
+                settings = profiles.getSettings(profile, language, command.settings, { customerName: customer && customer.name });
+            } catch (error) {
+                console.error(`Rejected session settings: ${error.message}`);
+
+                sendError(createProtocolError(
+                    ERROR_CODES.INVALID_SETTINGS,
+                    'Invalid session settings',
+                    error.validationErrors || [{ path: 'settings', message: error.message }]
+                ), ERROR_CODES.INVALID_SETTINGS);
+                return false;
+            }
+
+            debug('Session settings', settings);
+
+            // Phone orders start with the caller's number and a returning caller's name, the agent can still change them
+            if (callerNumber && !functionHandler.customer.phone) {
+                functionHandler.customer.phone = callerNumber;
+            }
+
+            if (customer && !functionHandler.customer.name) {
+                functionHandler.customer.name = customer.name;
+            }
+
+            // A new conversation for the agent, the cart stays with the connection
+            history = [];
+            return true;
+        }
+
+        /**
+         * Send a message to the client, objects as JSON and audio as binary
+         * @param {Object|string|Buffer} data - Message
+         * @returns {boolean} - True if sent
+         */
+        function sendToClient(data) {
+            if (ws.readyState !== WebSocket.OPEN) {
+                debug(`Cannot send message: WebSocket not open (readyState: ${ws.readyState})`);
+                return false;
+            }
+
+            try {
+                ws.send(typeof data === 'string' || Buffer.isBuffer(data) || data instanceof ArrayBuffer ? data : JSON.stringify(data));
+                return true;
+            } catch (error) {
+                console.error(`Error sending data to client: ${error.message}`);
+                return false;
+            }
+        }
+
+        /**
+         * Send an event in the shape of the client's protocol version
+         * @param {Object} event - Event in the latest shape
+         */
+        function sendEvent(event) {
+            const formatted = formatEvent(event, protocolVersion);
+
+            if (formatted) {
+                sendToClient(formatted);
+            }
+        }
+
+        /**
+         * Send an error event
+         * @param {Error} error - Error, with the code from ERROR_CODES if it has one
+         * @param {string} code - Code for errors without one
+         * @param {string} command - Type of the command that failed, if any
+         */
+        function sendError(error, code, command) {
+            sendEvent(createErrorEvent(error, code, command));
+        }
+
+        /**
+         * Send a status event
+         * @param {string} status - e.g. ready, reconnecting, closed
+         * @param {string} message - Text for the user
+         */
+        function sendStatus(status, message) {
+            debug(`Sending status [${status}]: ${message}`);
+            sendEvent({ type: 'status', status: status, message: message || '' });
+        }
+
+        // Send initial status to client
+        sendToClient({
+            type: 'status',
+            status: 'connected',
+            message: 'Connected to server. Waiting for initialization.',
+            resumeToken: resumeToken
+        });
+        debug('Sent initial status message to client');
+
+        /**
+         * Start an agent session for an init command, a new one or one resuming a dropped connection
+         * @param {Object} command - Init command
+         */
+        function handleInit(command) {
+            debug('Received init command from client');
+
+            // Every later message of this connection uses the version the client asked for
+            protocolVersion = command.protocolVersion;
+            sendEvent({ type: 'protocol', version: protocolVersion, supportedVersions: SUPPORTED_VERSIONS });
+            debug(`Client speaks protocol version ${protocolVersion}`);
+
+            textOnly = command.mode === 'text';
+
+            // A resumed session keeps what it had, a new one is set up from the init command
+            const resumed = Boolean(command.resumeToken);
+
+            if (resumed) {
+                if (!resumeSession(command.resumeToken)) {
+                    sendError(createProtocolError(
+                        ERROR_CODES.RESUME_FAILED,
+                        'The session has expired or was already resumed'
+                    ), ERROR_CODES.RESUME_FAILED, command.type);
+                    return;
+                }
+            } else if (!setUpSession(command)) {
+                return;
+            }
+
+            // A second init replaces the agent session, the old upstream socket is closed
+            if (agentSession) {
+                debug('Existing agent session will be replaced');
+                agentSession.close('replaced by a new init');
+            }
+
+            const session = new AgentSession({
+                deepgram: deepgram,
+                id: isAsteriskBridge ? `asterisk:${channelId || 'unknown'}` : `web:${req.headers['sec-websocket-key'] || 'unknown'}`,
+                // Configure the Deepgram agent with the profile's prompt, functions and the session settings
+                configure: () => configureDeepgramAgent(session.connection, functionHandler.restaurantData, {
+                    registry: profile.registry,
+                    prompt: renderPrompt(profile, functionHandler.restaurantData, { language: language }),
+                    settings: settings,
+                    history: history,
+                    cart: functionHandler.describeCart()
+                })
+            });
+            agentSession = session;
+            resumable = true;
+
+            // The agent's audio on its way to the client, a caller who speaks up interrupts it
+            const playback = new AgentPlayback({ sampleRate: OUTPUT_SAMPLE_RATE });
+
+            // Ready after configuring, not each time the agent stops speaking nor after a reconnect
+            session.on('state', ({ state, previous, reason }) => {
+                if (state !== STATES.READY || previous !== STATES.CONFIGURING || reason === 'reconnected') return;
+
+                // A resumed client gets its cart back, the agent picks up where the conversation stopped
+                if (resumed) {
+                    sendToClient({
+                        type: 'status',
+                        status: 'ready',
+                        message: 'Conversation resumed.',
+                        resumed: true
+                    });
+                    functionHandler.sendCartToClient({ event: 'resumed', cart: functionHandler.cartEngine.getSnapshot() });
+                    debug('Sent resumed status to client');
+                    return;
+                }
+
+                // The settings have no greeting, the agent is asked to say it and its transcript follows like any other reply
+                if (settings.greeting) {
+                    session.injectAgentMessage(settings.greeting);
+                }
+
+                sendStatus('ready', 'Agent ready. Click "Start Conversation" to begin.');
+            });
+
+            // The upstream socket dropped, the session reconnects with its settings, conversation and cart
+            session.on('reconnect_attempt', ({ attempt, delayMs }) => {
+                console.log(`Agent connection lost, reconnect attempt ${attempt} in ${delayMs}ms`);
+                metrics.increment('agent_reconnect_attempts_total', { profile: profile.id });
+
+                if (attempt === 1) {
+                    sendStatus('reconnecting', 'Agent connection lost. Reconnecting...');
+                }
+            });
+
+            session.on('reconnected', ({ attempts }) => {
+                console.log(`Agent reconnected after ${attempts} attempt(s)`);
+                metrics.increment('agent_reconnects_total', { profile: profile.id, outcome: 'succeeded' });
+                sendStatus('reconnected', 'Agent reconnected.');
+            });
+
+            session.on('reconnect_failed', ({ attempts }) => {
+                console.error(`Agent did not reconnect after ${attempts} attempt(s)`);
+                metrics.increment('agent_reconnects_total', { profile: profile.id, outcome: 'failed' });
+            });
+
+            session.on('error', (error) => {
+                if (session.state === STATES.CONFIGURING) {
+                    console.error('Error configuring Deepgram agent:', error);
+                    sendError(new Error(`Failed to configure agent: ${error.description || error.message || 'Unknown error'}`), ERROR_CODES.CONFIGURATION_FAILED);
+                } else {
+                    console.error('Deepgram Agent error:', error);
+                    sendError(new Error(error.description || error.message || 'Unknown Deepgram error'), ERROR_CODES.AGENT_ERROR);
+                }
+            });
+
+            session.on(STATES.CLOSED, (reason) => {
+                debug(`Agent session closed: ${reason}`);
+
+                if (agentSession === session) {
+                    agentSession = null;
+                }
+
+                // The client only hears about closes it did not ask for
+                if (reason === 'upstream closed' || reason === 'configuration failed') {
+                    sendStatus('closed', 'Agent connection closed. Please refresh to reconnect.');
+                }
+            });
+
+            // Forward all relevant Deepgram events to the client
+            session.on(AgentEvents.ConversationText, (data) => {
+                debug('Conversation text:', data);
+                addToHistory(history, data);
+
+                if (data.role === 'assistant') {
+                    playback.setText(data.content);
+                }
+
+                sendToClient({ type: 'transcript', data: data });
+            });
+
+            // Handle function call requests from Deepgram
+            session.on(AgentEvents.FunctionCallRequest, async (request) => {
+                debug('Function call request received:', request);
+
+                try {
+                    await functionHandler.handleFunctionCallRequest(request, session);
+                } catch (error) {
+                    console.error('Error handling function call request:', error);
+
+                    (request.functions || []).forEach(call => session.send(JSON.stringify({
+                        type: 'FunctionCallResponse',
+                        id: call.id,
+                        name: call.name,
+                        content: JSON.stringify({ error: error.message || 'Unknown error' })
+                    })));
+                }
+            });
+
+            // Handle audio data from Deepgram agent
+            session.on(AgentEvents.Audio, (audioData) => {
+                if (textOnly) return;
+
+                // Audio of a reply the caller interrupted is still arriving
+                if (!playback.accept(audioData)) {
+                    debug(`Dropped ${audioData.byteLength} bytes of an interrupted reply`);
+                    return;
+                }
+
+                if (sendToClient(audioData)) {
+                    trackAudio(getClientId(), 'sent', audioData.byteLength);
+                }
+            });
+
+            session.on(AgentEvents.AgentAudioDone, () => {
+                playback.finishReply();
+                sendToClient({ type: 'audioComplete' });
+            });
+
+            // Barge-in: the rest of the reply is dropped here, userStartedSpeaking makes every client flush its queue
+            session.on(AgentEvents.UserStartedSpeaking, () => {
+                const interruption = playback.interrupt();
+
+                if (interruption) {
+                    console.log(`Caller interrupted the agent after ${interruption.heardMs}ms of ${interruption.sentMs}ms: "${interruption.heardText}"`);
+                    metrics.increment('agent_barge_ins_total', { profile: profile.id });
+                    metrics.increment('agent_barge_in_heard_ms_total', { profile: profile.id }, interruption.heardMs);
+                    metrics.increment('agent_barge_in_sent_ms_total', { profile: profile.id }, interruption.sentMs);
+                }
+
+                sendToClient({ type: 'userStartedSpeaking' });
+            });
+
+            // Add a handler for unhandled events to see what's coming through
+            session.on(AgentEvents.Unhandled, (data) => {
+                console.log('Unhandled Deepgram event received:', data);
+
+                // Forward unhandled events to client for debugging
+                if (data.type === 'EndOfThought') {
+                    sendToClient({ type: 'endOfThought', data: data });
+                }
+            });
+
+            // Handle agent speaking events
+            session.on(AgentEvents.AgentStartedSpeaking, (data) => {
+                debug('Agent started speaking:', data);
+                playback.startReply();
+
+                // Notify client that audio is coming
+                sendToClient({ type: 'agentStartedSpeaking', data: data });
+            });
+
+            debug('Connecting agent session...');
+            session.connect();
+        }
+
+        /**
+         * End the conversation on the client's request, it cannot be resumed
+         * @param {Object} command - Terminate command
+         */
+        function handleTerminate(command) {
+            debug(`Received terminate request from client${channelId ? ' for channel ' + channelId : ''}`);
+            debug(`Terminate reason: ${command.reason || 'No reason provided'}`);
+
+            if (agentSession) {
+                agentSession.close('terminated by client');
+            }
+
+            resumable = false;
+            cleanupAudioStats(getClientId());
+
+            sendToClient({
+                type: 'status',
+                status: 'terminated',
+                message: 'Agent connection terminated by request.'
+            });
+
+            console.log(`Client connection terminated: ${isAsteriskBridge ? 'Asterisk' : 'Web'} client${channelId ? ' (channel: ' + channelId + ')' : ''}`);
+        }
+
+        // Handle commands from client
+        function handleCommand(command) {
+            if (command.type === 'init') {
+                handleInit(command);
+            } else if (command.type === 'terminate') {
+                handleTerminate(command);
+            } else if (command.type === 'user_text') {
+                // Typed messages reach the agent as the user's turn, it answers them like speech
+                if (!agentSession || !agentSession.injectUserMessage(command.text)) {
+                    sendError(new Error('The agent is not ready for messages yet'), ERROR_CODES.AGENT_NOT_READY, command.type);
+                    return;
+                }
+
+                debug(`Sent typed message to the agent: ${command.text}`);
+            } else if (command.type === 'ping') {
+                sendToClient({
+                    type: 'pong',
+                    timestamp: command.timestamp,
+                    serverTime: Date.now()
+                });
+            } else {
+                debug('Unknown command type:', command.type);
+            }
+        }
+
+        /**
+         * Forward the client's audio to the agent once it is ready
+         * @param {Buffer} audio - linear16 audio
+         */
+        function handleAudio(audio) {
+            trackAudio(getClientId(), 'received', audio.length);
+
+            if (agentSession && agentSession.isReady()) {
+                agentSession.send(audio);
+            } else if (agentSession && agentSession.isReconnecting()) {
+                // The caller keeps talking while the agent reconnects, the client already knows
+                debug('Dropping audio while the agent reconnects');
+            } else {
+                debug('Ignoring audio data - Deepgram not ready yet');
+                sendStatus('not_ready', 'Please wait for Deepgram connection to be ready before sending audio.');
+            }
+        }
+
+        // Handle messages from the client
+        ws.on('message', async (message, isBinary) => {
+            try {
+                // Commands come as text, audio as binary
+                const frame = readFrame(message, isBinary);
+
+                if (frame.text === undefined) {
+                    handleAudio(message);
+                    return;
+                }
+
+                let command;
+
+                try {
+                    command = parseCommand(frame.text, protocolVersion);
+                    debug('Parsed JSON command:', command);
+                } catch (protocolError) {
+                    console.error(`Rejected client message: ${protocolError.message}`);
+                    sendError(protocolError, ERROR_CODES.INVALID_COMMAND);
+                    return;
+                }
+
+                // Store channel ID for Asterisk connections
+                if (isAsteriskBridge && command.channelId) {
+                    channelId = command.channelId;
+                    debug(`Associated with Asterisk channel: ${channelId}`);
+                }
+
+                if (command.type === 'action_response') {
+                    // Forward the response to Deepgram
+                    await functionHandler.handleActionResponse(command);
+                } else {
+                    handleCommand(command);
+                }
+            } catch (error) {
+                console.error('Error handling WebSocket message:', error);
+                sendError(new Error(`Server error: ${error.message}`), ERROR_CODES.SERVER_ERROR);
+            }
+        });
+
+        // Handle WebSocket close
+        ws.on('close', (code, reason) => {
+            debug(`Client disconnected (Code: ${code}, Reason: ${reason || 'None provided'})`);
+
+            profile.loader.off('reload', onRestaurantDataReload);
+            cleanupAudioStats(getClientId());
+
+            // Keep the session for the client to resume, a resumed session gets a new agent
+            if (resumable) {
+                sessionStore.suspend(resumeToken, {
+                    profile: profile,
+                    language: language,
+                    settings: settings,
+                    history: history,
+                    functionHandler: functionHandler
+                });
+                debug(`Session kept for ${sessionStore.graceMs}ms to resume`);
+            }
+
+            // Close the upstream agent
+            if (agentSession) {
+                agentSession.close('client disconnected');
+            }
+
+            console.log(`Client disconnected: ${isAsteriskBridge ? 'Asterisk' : 'Web'} client${channelId ? ' (channel: ' + channelId + ')' : ''}`);
+        });
+
+        // Handle WebSocket errors
+        ws.on('error', (error) => {
+            console.error('WebSocket error:', error);
+        });
+    };
+}
+
+module.exports = {
+    createConnectionHandler
+};
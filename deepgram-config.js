@@ -1,7 +1,16 @@
-// Updated Deepgram configuration for server.js
-// This includes function definitions for cart operations
+// Updated Deepgram configuration for the servers, in the Settings shape of the V1 agent API
+// Function definitions for cart operations are provided by the tool registry
+// and the instructions by the prompt templates
+const { createClient } = require('@deepgram/sdk');
+const { toolRegistry } = require('./tool-registry');
+const { renderTemplate, createPromptVariables } = require('./prompt-templates');
+const { DEFAULT_SETTINGS, isFluxModel } = require('./agent-settings');
+
 const DEBUG = process.env.DEBUG;
 
+// Sample rate of the agent's linear16 audio
+const OUTPUT_SAMPLE_RATE = 24000;
+
 function debug(message, data) {
     if (DEBUG) {
         if (data) {
@@ -12,203 +21,84 @@ function debug(message, data) {
     }
 }
 
-async function configureDeepgramAgent(deepgramConnection, restaurantData) {
-    debug('Creating restaurant instructions...');
-    const restaurantInstructions = createRestaurantInstructions(restaurantData);
+/**
+ * Create the Deepgram client
+ * DEEPGRAM_AGENT_URL points the agent connections elsewhere, e.g. ws://localhost:8081 for mock-agent-server.js
+ * @param {string} apiKey - Deepgram API key, any value works for the mock
+ * @param {string} agentUrl - Agent WebSocket URL, defaults to Deepgram's
+ * @returns {Object} - Deepgram client
+ */
+function createDeepgramClient(apiKey, agentUrl = process.env.DEEPGRAM_AGENT_URL) {
+    if (!agentUrl) {
+        return createClient(apiKey);
+    }
+
+    debug(`Using the agent at ${agentUrl}`);
+    return createClient(apiKey, { agent: { websocket: { options: { url: agentUrl } } } });
+}
+
+/**
+ * Configure the agent for a session
+ * @param {Object} deepgramConnection - Deepgram agent connection
+ * @param {Object} restaurantData - Data of the session's profile
+ * @param {Object} options - { registry, prompt: rendered instructions, settings: session agent settings,
+ *                            history: { role, content } messages of a resumed conversation,
+ *                            cart: the cart read back, for a conversation that continues on a new connection }
+ * @returns {Promise<boolean>} - True once configured
+ */
+async function configureDeepgramAgent(deepgramConnection, restaurantData, options = {}) {
+    const registry = options.registry || toolRegistry;
+    const settings = options.settings || {};
+    const think = { ...DEFAULT_SETTINGS.think, ...settings.think };
+
+    debug('Creating agent instructions...');
+    const restaurantInstructions = options.prompt || createRestaurantInstructions(restaurantData);
+
+    // The conversation history does not show function results, the cart tells the agent what is already ordered
+    const instructions = options.cart
+        ? `${restaurantInstructions}\n\nThe order so far, continue from it: ${options.cart}`
+        : restaurantInstructions;
     
     debug('Configuring Deepgram agent...');
     await deepgramConnection.configure({
         audio: {
             input: {
                 encoding: "linear16",
-                sampleRate: 16000,
+                sample_rate: 16000,
             },
             output: {
                 encoding: "linear16",
-                sampleRate: 24000,
+                sample_rate: OUTPUT_SAMPLE_RATE,
                 container: "none",
             },
         },
+        // The settings have no language, the session language picks the listen model, the voice and the prompt
         agent: {
+            // A resumed session continues its conversation
+            ...(options.history && options.history.length > 0 && {
+                context: {
+                    messages: options.history.map(message => ({ type: "History", role: message.role, content: message.content })),
+                },
+            }),
             listen: {
-                model: "nova-2",
-            },
-            speak: {
-                model: "aura-asteria-en",
+                provider: createListenProvider(settings),
             },
             think: {
                 provider: {
-                    type: "open_ai",
+                    type: think.provider,
+                    model: think.model,
+                    ...(think.temperature !== undefined && { temperature: think.temperature }),
+                },
+                prompt: instructions,
+                // Function definitions come from the tool registry
+                functions: registry.getFunctionDefinitions(restaurantData),
+            },
+            // Text-only sessions keep the voice, the server drops their audio
+            speak: {
+                provider: {
+                    type: "deepgram",
+                    model: settings.voice || "aura-asteria-en",
                 },
-                model: "gpt-4o",
-                instructions: restaurantInstructions,
-                // Define the functions the agent can call
-                functions: [
-                    {
-                        name: "add_to_cart",
-                        description: "Add an item to the customer's cart",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                item: {
-                                    type: "string",
-                                    description: "The name of the menu item to add"
-                                },
-                                quantity: {
-                                    type: "integer",
-                                    description: "The quantity of the item to add",
-                                    default: 1
-                                },
-                                size: {
-                                    type: "string",
-                                    description: "The size of the item (Small, Medium, Large, X-Large)",
-                                    enum: ["Small", "Medium", "Large", "X-Large"],
-                                    default: "Medium"
-                                },
-                                customizations: {
-                                    type: "array",
-                                    items: {
-                                        type: "string"
-                                    },
-                                    description: "Any customizations for the item (extra toppings, etc.)"
-                                }
-                            },
-                            required: ["item"]
-                        }
-                    },
-                    {
-                        name: "modify_cart_item",
-                        description: "Modify an existing item in the customer's cart",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                item: {
-                                    type: "string",
-                                    description: "The name of the menu item to modify"
-                                },
-                                quantity: {
-                                    type: "integer",
-                                    description: "The new quantity of the item"
-                                },
-                                size: {
-                                    type: "string",
-                                    description: "The new size of the item",
-                                    enum: ["Small", "Medium", "Large", "X-Large"]
-                                },
-                                customizations: {
-                                    type: "array",
-                                    items: {
-                                        type: "string"
-                                    },
-                                    description: "The new customizations for the item"
-                                }
-                            },
-                            required: ["item"]
-                        }
-                    },
-                    {
-                        name: "remove_from_cart",
-                        description: "Remove an item from the customer's cart",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                item: {
-                                    type: "string",
-                                    description: "The name of the menu item to remove"
-                                }
-                            },
-                            required: ["item"]
-                        }
-                    },
-                    {
-                        name: "clear_cart",
-                        description: "Clear all items from the customer's cart",
-                        parameters: {
-                            type: "object",
-                            properties: {}
-                        }
-                    },
-                    {
-                        name: "get_cart_contents",
-                        description: "Get the contents of the customer's cart",
-                        parameters: {
-                            type: "object",
-                            properties: {}
-                        }
-                    },
-                    {
-                        name: "checkout",
-                        description: "Process the customer's order for checkout",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                delivery: {
-                                    type: "boolean",
-                                    description: "Whether the customer wants delivery or pickup",
-                                    default: true
-                                },
-                                address: {
-                                    type: "string",
-                                    description: "Delivery address if applicable"
-                                },
-                                phone: {
-                                    type: "string",
-                                    description: "Customer's phone number"
-                                }
-                            }
-                        }
-                    },
-                    {
-                        name: "suggest_deal",
-                        description: "Suggest a deal that matches the customer's order",
-                        parameters: {
-                            type: "object",
-                            properties: {}
-                        }
-                    },
-                    {
-                        name: "update_customer_name",
-                        description: "Update the customer's name for the order",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                name: {
-                                    type: "string",
-                                    description: "The customer's name"
-                                }
-                            },
-                            required: ["name"]
-                        }
-                    },
-                    {
-                        name: "update_customer_phone_number",
-                        description: "Update the customer's phone number for the order",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                phone: {
-                                    type: "string",
-                                    description: "The customer's phone number"
-                                }
-                            },
-                            required: ["phone"]
-                        }
-                    },
-                    {
-                        name: "update_customer_address",
-                        description: "Update the customer's address for delivery",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                address: {
-                                    type: "string",
-                                    description: "The customer's delivery address"
-                                }
-                            },
-                            required: ["address"]
-                        }
-                    }
-                ],
             },
         },
     });
@@ -217,77 +107,39 @@ async function configureDeepgramAgent(deepgramConnection, restaurantData) {
     return true;
 }
 
-// Create improved restaurant instructions for the agent
-function createRestaurantInstructions(data) {
-    if (!data) {
-        return "You are a helpful assistant for a pizza restaurant.";
+/**
+ * Create the listen provider of the settings
+ * Flux models take the endpointing as the silence that ends a turn, other models have no endpointing
+ * @param {Object} settings - Session agent settings
+ * @returns {Object} - Listen provider
+ */
+function createListenProvider(settings) {
+    const model = settings.listenModel || "nova-2";
+
+    if (!isFluxModel(model)) {
+        return { type: "deepgram", model: model };
     }
-    
-    // Format the instructions with menu information
-    const instructions = `
-You are a voice assistant for ${data.name}, a pizza restaurant. Your job is to help customers place orders by having a natural conversation and using functions to manage their cart.
-
-THE MENU:
-PIZZAS:
-${data.menu.pizzas.map(p => `- ${p.name}: $${p.price} - ${p.description}`).join('\n')}
-
-SIDES:
-${data.menu.sides.map(s => `- ${s.name}: $${s.price} - ${s.description}`).join('\n')}
-
-DRINKS:
-${data.menu.drinks.map(d => `- ${d.name}: $${d.price} - ${d.description}`).join('\n')}
-
-DESSERTS:
-${data.menu.desserts.map(d => `- ${d.name}: $${d.price} - ${d.description}`).join('\n')}
-
-CUSTOMIZATION OPTIONS:
-Crusts: ${data.customizations.crusts.join(', ')}
-Sizes: ${data.customizations.sizes.map(s => s.name).join(', ')}
-Toppings: ${data.customizations.toppings.map(t => t.name).join(', ')}
-
-SPECIAL DEALS:
-${data.deals ? data.deals.map(d => `- ${d.name}: $${d.price} - ${d.description} ${d.savings}`).join('\n') : 'No special deals available'}
 
-RESTAURANT HOURS:
-${Object.entries(data.hours).map(([day, hours]) => `${day}: ${hours.open} - ${hours.close}`).join('\n')}
-
-DELIVERY INFORMATION:
-Minimum Order: $${data.delivery.minimum}
-Delivery Fee: $${data.delivery.fee}
-Estimated Time: ${data.delivery.estimatedTime}
-Delivery Radius: ${data.delivery.radiusInMiles} miles
-
-INSTRUCTIONS FOR CART MANAGEMENT:
-1. When a customer wants to add an item to their cart, use the add_to_cart function.
-2. When a customer wants to modify an item, use the modify_cart_item function.
-3. When a customer wants to remove an item, use the remove_from_cart function.
-4. When a customer wants to clear their entire cart, use the clear_cart function.
-5. When a customer wants to check what's in their cart, use the get_cart_contents function.
-6. When a customer is ready to check out, use the checkout function.
-7. If a customer's order qualifies for a special deal, use the suggest_deal function.
-8. When the customer shares their phone number use the update_customer_phone_number function.
-9. When the customer shares their address use the update_customer_address function.
-10. When the customer shares their name use the update_customer_name function.
-
-IMPORTANT CONVERSATIONAL GUIDELINES:
-1. Be friendly, helpful, and conversational.
-2. Ask clarifying questions when needed (e.g., "What size would you like?" or "Would you like any toppings on that?").
-3. Confirm orders before adding them to the cart.
-4. Suggest complementary items (e.g., suggest drinks when ordering pizza).
-5. When using functions, maintain a natural conversation flow.
-6. Always acknowledge function results in your responses (e.g., "I've added that to your cart").
-7. If a customer interrupts you, stop talking and listen to their request.
-8. do not return the text in markdown format. as the speech tries to read the markdown.
-9. return phone numbers in the format of 1234567890.
-10. always ask customer for delivery or pickup and in case of delivery always ask for customer name, address and phone number before check out and ask address only if its a delivery order.
-11. When you have all the information for checkout, call the checkout function and provide the customer with a summary of their order, including the total cost and estimated delivery time.
-
-Remember that you are representing ${data.name}, so maintain a professional and welcoming tone throughout the conversation.`;
+    return {
+        type: "deepgram",
+        version: "v2",
+        model: model,
+        ...(settings.endpointing !== undefined && { eot_timeout_ms: settings.endpointing }),
+    };
+}
 
-    return instructions;
+/**
+ * Create the restaurant instructions from the default template
+ * @param {Object} data - Restaurant data
+ * @returns {string} - Instructions
+ */
+function createRestaurantInstructions(data) {
+    return renderTemplate('restaurant', createPromptVariables(data));
 }
 
 module.exports = {
+    OUTPUT_SAMPLE_RATE,
+    createDeepgramClient,
     configureDeepgramAgent,
     createRestaurantInstructions
-};
\ No newline at end of file
+};
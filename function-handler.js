@@ -1,8 +1,12 @@
 // Updated function-handler.js with fixes for Deepgram's function call format
-
-// Track the client's WebSocket connection
-let clientWebSocket = null;
-let restaurantData = null;
+// One FunctionHandler is created per client session so calls never cross sessions
+const crypto = require('crypto');
+const CartEngine = require('./cart-engine');
+const { UpsellEngine } = require('./upsell-engine');
+const { toolRegistry } = require('./tool-registry');
+const { getOrderStore } = require('./order-store');
+const { getLocale } = require('./locales');
+const getCartContents = require('./tools/get-cart-contents');
 
 const DEBUG = process.env.DEBUG;
 
@@ -16,164 +20,331 @@ function debug(message, data) {
     }
 }
 
-/**
- * Initialize the function handler with the client WebSocket and restaurant data
- * @param {WebSocket} ws - Client WebSocket connection
- * @param {Object} data - Restaurant data
- */
-function initializeFunctionHandler(ws, data) {
-    clientWebSocket = ws;
-    restaurantData = data;
-}
+class FunctionHandler {
+    /**
+     * Create a function handler for one client session
+     * @param {WebSocket} ws - Client WebSocket connection
+     * @param {Object} data - Restaurant data
+     * @param {Object} options - { registry, orderStore, channel: 'web' | 'phone', locale: session language }
+     */
+    constructor(ws, data, options = {}) {
+        this.clientWebSocket = ws;
+        this.restaurantData = data;
+        this.registry = options.registry || toolRegistry;
+        this.orderStore = options.orderStore || getOrderStore();
+        this.channel = options.channel || 'web';
+        this.sessionId = crypto.randomUUID();
+        this.locale = options.locale || getLocale();
+        this.cartEngine = new CartEngine(data, this.locale);
+        this.upsellEngine = new UpsellEngine(data, this.sessionId, { locale: this.locale });
+
+        // Customer details collected by the agent for the order
+        this.customer = { name: null, phone: null, address: null };
+
+        // Order placed by checkout, a later checkout in the same session updates it
+        this.order = null;
+
+        // Deal offered by suggest_deal and waiting for the customer's answer
+        this.suggestedDeal = null;
 
-/**
- * Process a function call request from Deepgram
- * @param {Object} request - Function call request from Deepgram
- * @param {WebSocket} deepgramConnection - Deepgram WebSocket connection
- * @returns {Promise<void>}
- */
-async function handleFunctionCallRequest(request, deepgramConnection) {
-    debug('Function call request received:', request);
-    
-    if (!clientWebSocket) {
-        console.error('No client WebSocket connection available');
-        return sendFunctionCallResponse(
-            deepgramConnection, 
-            request.function_call_id, 
-            request.function_name,
-            { error: 'No client connection available' }
-        );
+        // function_call_id -> { connection: Deepgram connection that asked for it, name: function name }
+        this.pendingCalls = new Map();
     }
-    
-    try {
-        // Extract function details from Deepgram's format
-        const functionName = request.function_name;
-        const functionArgs = request.input || {};
-        const functionId = request.function_call_id;
-        
-        debug(`Processing function call: ${functionName}`, functionArgs);
-        
-        // Add the function name to the data sent to client
-        sendActionToClient(functionName, functionArgs, functionId, functionName);
-        
-    } catch (error) {
-        console.error('Error handling function call:', error);
-        
-        // Send error response with the function name
-        await sendFunctionCallResponse(
-            deepgramConnection, 
-            request.function_call_id, 
-            request.function_name,
-            { success: false, error: error.message || 'Unknown error' }
-        );
+
+    /**
+     * Switch the session to reloaded restaurant data, the cart keeps its lines at the new prices
+     * @param {Object} data - Restaurant data
+     */
+    updateRestaurantData(data) {
+        this.restaurantData = data;
+        this.cartEngine.setRestaurantData(data);
+        this.upsellEngine.restaurantData = data;
     }
-}
 
+    /**
+     * Switch the language confirmations are worded in
+     * @param {Locale} locale - Locale of the session language
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        this.cartEngine.locale = locale;
+        this.upsellEngine.locale = locale;
+    }
 
-/**
- * Send a function call response back to Deepgram
- * @param {WebSocket} deepgramConnection - Deepgram WebSocket connection
- * @param {string} functionId - ID of the function call
- * @param {string} functionName - Name of the function that was called
- * @param {Object} result - Result of the function call
- * @returns {Promise<void>}
- */
-async function sendFunctionCallResponse(deepgramConnection, functionId, functionName, result) {
-    try {
-        // Create a confirmation message based on the result
-        let confirmationText = "";
-        
-        if (functionName === "add_to_cart" && result.item) {
-            const quantity = result.item.quantity || 1;
-            const size = result.item.size ? `${result.item.size} ` : '';
-            const name = result.item.name || "item";
-            const customizations = result.item.customizations && result.item.customizations.length > 0
-                ? ` with ${result.item.customizations.join(', ')}`
-                : '';
-            
-            confirmationText = `Added ${quantity} ${size}${name}${customizations} to your cart.`;
-        } 
-        else if (functionName === "remove_from_cart" && result.item) {
-            confirmationText = `Removed ${result.item.name || "item"} from your cart.`;
-        } 
-        else if (functionName === "clear_cart") {
-            confirmationText = `Cleared all items from your cart.`;
-        } 
-        else if (functionName === "modify_cart_item" && result.item) {
-            confirmationText = `Updated ${result.item.name || "item"} in your cart.`;
-        } 
-        else {
-            confirmationText = "Request processed successfully.";
+    /**
+     * Move the session to the WebSocket of a client that resumed it
+     * @param {WebSocket} ws - Client WebSocket connection
+     */
+    attachClient(ws) {
+        this.clientWebSocket = ws;
+
+        // Calls of the closed agent connection can no longer be answered
+        this.pendingCalls.clear();
+    }
+
+    /**
+     * Read the cart back in the session's language, a new agent connection continues the order from it
+     * @returns {string|null} - Cart contents and price, null for an empty cart
+     */
+    describeCart() {
+        const contents = this.cartEngine.getContents();
+
+        if (contents.cart.items.length === 0) return null;
+
+        return getCartContents.confirm(contents, this.locale);
+    }
+
+    /**
+     * Process a function call request from Deepgram, it may ask for several functions at once
+     * @param {Object} request - FunctionCallRequest from Deepgram: { functions: [{ id, name, arguments, client_side }] }
+     * @param {WebSocket} deepgramConnection - Deepgram connection the request came from
+     * @returns {Promise<void>}
+     */
+    async handleFunctionCallRequest(request, deepgramConnection) {
+        debug('Function call request received:', request);
+
+        for (const call of request.functions || []) {
+            // Functions with an endpoint run on Deepgram's side, the request only tells about them
+            if (call.client_side === false) continue;
+
+            await this.handleFunctionCall(call, deepgramConnection);
         }
-        
-        // Create the exact format for the response
-        const responseObject = {
-            function_name: functionName,
-            function_call_id: functionId,
-            response: {
-                confirmation: confirmationText
+    }
+
+    /**
+     * Run one function the agent asked for
+     * @param {Object} call - { id, name, arguments: JSON string }
+     * @param {WebSocket} deepgramConnection - Deepgram connection the request came from
+     * @returns {Promise<void>}
+     */
+    async handleFunctionCall(call, deepgramConnection) {
+        try {
+            // Extract function details from Deepgram's format
+            const functionName = call.name;
+            const functionArgs = call.arguments ? JSON.parse(call.arguments) : {};
+            const functionId = call.id;
+
+            debug(`Processing function call: ${functionName}`, functionArgs);
+
+            const tool = this.registry.get(functionName);
+
+            if (!tool) {
+                throw new Error(`Unknown function "${functionName}"`);
             }
-        };
-        
-        debug('Sending function response to Deepgram:', responseObject);
-        
-        // Send the response
-        deepgramConnection.send(JSON.stringify(responseObject));
-        
-    } catch (error) {
-        console.error('Error sending function call response:', error);
-        
-        // Send an error response in the same format if something went wrong
-        const errorResponse = {
-            function_name: functionName,
-            function_call_id: functionId,
-            response: {
-                confirmation: "Sorry, there was an error processing your request.",
-                error: error.message || "Unknown error"
+
+            if (tool.runsOn !== 'client') {
+                // Run the tool here and answer the agent with the real result
+                const result = await this.registry.dispatch(functionName, functionArgs, this);
+
+                if (result.success !== false) {
+                    this.addUpsellSuggestion(result);
+                }
+
+                await this.sendFunctionCallResponse(deepgramConnection, functionId, functionName, result);
+
+                if (result.success !== false) {
+                    // Push the updated cart to the client so it can render it
+                    if (result.cart) {
+                        this.sendCartToClient(result);
+                    }
+
+                    // Let the client show the result of tools that run in both places
+                    if (tool.runsOn === 'both') {
+                        this.sendActionToClient(functionName, { ...functionArgs, result });
+                    }
+                }
+                return;
             }
+
+            // Only the client can answer a client tool, server tools run without one
+            if (!this.clientWebSocket) {
+                console.error(`No client connection available for ${functionName}`);
+                return this.sendFunctionCallResponse(deepgramConnection, functionId, functionName, {
+                    success: false,
+                    error: 'No client connection available'
+                });
+            }
+
+            // Remember which agent connection is waiting for the client's answer
+            this.pendingCalls.set(functionId, { connection: deepgramConnection, name: functionName });
+
+            // Add the function name to the data sent to client
+            this.sendActionToClient(functionName, functionArgs, functionId, functionName);
+
+        } catch (error) {
+            console.error('Error handling function call:', error);
+
+            // Send error response with the function name
+            await this.sendFunctionCallResponse(
+                deepgramConnection,
+                call.id,
+                call.name,
+                { success: false, error: error.message || 'Unknown error' }
+            );
+        }
+    }
+
+    /**
+     * Ask the upsell engine for a suggestion after a cart event or checkout and add it to the result
+     * @param {Object} result - Successful tool result, changed in place
+     */
+    addUpsellSuggestion(result) {
+        const events = {
+            added: { type: 'item_added', item: result.item },
+            deal_applied: { type: 'deal_applied', deal: result.deal },
+            checkout: { type: 'checkout' }
         };
-        
+
+        if (!events[result.event]) return;
+
+        const suggestion = this.upsellEngine.evaluate(events[result.event], this.cartEngine);
+
+        if (suggestion) {
+            result.upsell = suggestion.message;
+            result.confirmation = this.locale.t('upsell', { confirmation: result.confirmation, suggestion: suggestion.message });
+        }
+    }
+
+    /**
+     * Forward a client's action response to the agent connection that made the call
+     * @param {Object} response - action_response command from the client
+     * @returns {Promise<void>}
+     */
+    async handleActionResponse(response) {
         try {
-            deepgramConnection.send(JSON.stringify(errorResponse));
-        } catch (sendError) {
-            console.error('Error sending error response:', sendError);
+            if (!response.function_call_id) {
+                console.error('Missing function_call_id in action response');
+                return;
+            }
+
+            const pending = this.pendingCalls.get(response.function_call_id);
+
+            if (!pending) {
+                console.error(`No pending function call ${response.function_call_id} in this session`);
+                return;
+            }
+
+            this.pendingCalls.delete(response.function_call_id);
+
+            // Format the response for Deepgram in exact format
+            const exactResponse = {
+                "type": "FunctionCallResponse",
+                "id": response.function_call_id,
+                "name": pending.name,
+                "content": "request received"
+            };
+
+            debug('Sending function response to Deepgram:', exactResponse);
+
+            // Send the response to Deepgram
+            pending.connection.send(JSON.stringify(exactResponse));
+
+        } catch (error) {
+            console.error('Error handling action response:', error);
         }
     }
-}
 
-/**
- * Send an action to the client
- * @param {string} type - Action type
- * @param {Object} data - Action data
- * @param {string} functionId - ID of the function call
- * @param {string} functionName - Name of the function
- */
-function sendActionToClient(type, data, functionId, functionName) {
-    if (!clientWebSocket) {
-        console.error('No client WebSocket connection available');
-        return;
+    /**
+     * Send a function call response back to Deepgram
+     * @param {WebSocket} deepgramConnection - Deepgram WebSocket connection
+     * @param {string} functionId - ID of the function call
+     * @param {string} functionName - Name of the function that was called
+     * @param {Object} result - Result of the function call, with its confirmation text
+     * @returns {Promise<void>}
+     */
+    async sendFunctionCallResponse(deepgramConnection, functionId, functionName, result) {
+        try {
+            const confirmationText = result.confirmation || (result.success === false
+                ? this.locale.t('failure', { error: result.error || this.locale.t('failure.default') })
+                : this.locale.t('success'));
+
+            // Create the exact format for the response
+            const responseObject = {
+                type: 'FunctionCallResponse',
+                id: functionId,
+                name: functionName,
+                content: JSON.stringify({
+                    confirmation: confirmationText,
+                    ...result
+                })
+            };
+
+            debug('Sending function response to Deepgram:', responseObject);
+
+            // Send the response
+            deepgramConnection.send(JSON.stringify(responseObject));
+
+        } catch (error) {
+            console.error('Error sending function call response:', error);
+
+            // Send an error response in the same format if something went wrong
+            const errorResponse = {
+                type: 'FunctionCallResponse',
+                id: functionId,
+                name: functionName,
+                content: JSON.stringify({
+                    confirmation: this.locale.t('failure.processing'),
+                    error: error.message || "Unknown error"
+                })
+            };
+
+            try {
+                deepgramConnection.send(JSON.stringify(errorResponse));
+            } catch (sendError) {
+                console.error('Error sending error response:', sendError);
+            }
+        }
     }
-    
-    try {
-        const action = {
-            type: type,
-            ...data,
-            function_call_id: functionId,
-            function_name: functionName  // Add function name
-        };
-        
-        clientWebSocket.send(JSON.stringify({
-            type: 'actions',
-            actions: [action]
-        }));
-        
-        debug(`Sent ${type} action to client:`, action);
-    } catch (error) {
-        console.error('Error sending action to client:', error);
+
+    /**
+     * Push the server's cart state to the client after a cart function ran
+     * @param {Object} result - Result returned by the cart engine
+     */
+    sendCartToClient(result) {
+        // No function_call_id here: the agent has already been answered by the server
+        this.sendActionToClient('cart_updated', {
+            event: result.event,
+            item: result.item || null,
+            cart: result.cart
+        });
+    }
+
+    /**
+     * Send an action to the client
+     * @param {string} type - Action type
+     * @param {Object} data - Action data
+     * @param {string} functionId - ID of the function call
+     * @param {string} functionName - Name of the function
+     */
+    sendActionToClient(type, data, functionId, functionName) {
+        if (!this.clientWebSocket) {
+            console.error('No client WebSocket connection available');
+            return;
+        }
+
+        try {
+            const action = {
+                type: type,
+                ...data
+            };
+
+            if (functionId) {
+                action.function_call_id = functionId;
+                action.function_name = functionName;  // Add function name
+            }
+
+            this.clientWebSocket.send(JSON.stringify({
+                type: 'actions',
+                actions: [action]
+            }));
+
+            debug(`Sent ${type} action to client:`, action);
+        } catch (error) {
+            console.error('Error sending action to client:', error);
+        }
     }
 }
 
 module.exports = {
-    initializeFunctionHandler,
-    handleFunctionCallRequest
-};
\ No newline at end of file
+    FunctionHandler
+};
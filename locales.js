@@ -0,0 +1,167 @@
+// locales.js - Session languages: listen model, voice and the confirmation strings the agent hears
+// Each language is a JSON file in locales/. Messages missing from a language fall back to English.
+// Details inside messages (engine errors, business hours) stay in English, the translated prompt
+// tells the agent to answer in the session language
+
+const fs = require('fs');
+const path = require('path');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[LOCALES] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[LOCALES] ${message}`);
+        }
+    }
+}
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+class Locale {
+    /**
+     * @param {Object} definition - { code, name, listenModel, voice, messages }
+     * @param {Locale} fallback - Locale to take missing messages from
+     */
+    constructor(definition, fallback = null) {
+        ['code', 'name', 'listenModel', 'voice', 'messages'].forEach(field => {
+            if (!definition[field]) {
+                throw new Error(`Locale ${definition.code || '(unknown)'} needs "${field}"`);
+            }
+        });
+
+        this.code = definition.code;
+        this.name = definition.name;
+        this.listenModel = definition.listenModel;
+        this.voice = definition.voice;
+        this.messages = definition.messages;
+        this.fallback = fallback;
+    }
+
+    /**
+     * Get a message with its {{variables}} filled in
+     * @param {string} key - Message key, e.g. "add_to_cart"
+     * @param {Object} variables - Values for the variables
+     * @returns {string} - Message, or the key if no language has it
+     */
+    t(key, variables = {}) {
+        return this.getTemplate(key).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            (variables[name] !== undefined ? String(variables[name]) : match));
+    }
+
+    /**
+     * Get a message as written in the locale file
+     * @param {string} key - Message key
+     * @returns {string} - Message template
+     */
+    getTemplate(key) {
+        if (this.messages[key] !== undefined) {
+            return this.messages[key];
+        }
+
+        return this.fallback ? this.fallback.getTemplate(key) : key;
+    }
+
+    /**
+     * Join names as "A, B or C"
+     * @param {Array<string>} items - Names
+     * @returns {string}
+     */
+    or(items) {
+        const names = items.slice();
+        const last = names.pop();
+
+        return names.length > 0 ? this.t('list.or', { items: names.join(', '), last: last }) : last;
+    }
+
+    /**
+     * Describe a cart line the way the agent should say it
+     * @param {Object} line - Cart line item
+     * @returns {string} - e.g. "2 Large Pepperoni on Thin crust with Mushrooms"
+     */
+    describeLine(line) {
+        return this.t('line', {
+            quantity: line.quantity || 1,
+            name: line.name,
+            size: line.size ? this.t('line.size', { size: line.size }) : '',
+            crust: line.crust ? this.t('line.crust', { crust: line.crust }) : '',
+            customizations: line.customizations && line.customizations.length > 0
+                ? this.t('line.customizations', { list: line.customizations.join(', ') })
+                : ''
+        });
+    }
+}
+
+// code -> Locale, read once
+let locales = null;
+
+/**
+ * Read every locale file, English first so the others can fall back to it
+ * @param {string} directory - Directory with one JSON file per language
+ * @returns {Map<string, Locale>} - Locales by language code
+ */
+function loadLocales(directory = LOCALES_DIR) {
+    const definitions = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+
+    const english = definitions.find(definition => definition.code === DEFAULT_LANGUAGE);
+
+    if (!english) {
+        throw new Error(`There is no ${DEFAULT_LANGUAGE} locale in ${directory}`);
+    }
+
+    const loaded = new Map();
+    const fallback = new Locale(english);
+    loaded.set(fallback.code, fallback);
+
+    definitions
+        .filter(definition => definition !== english)
+        .forEach(definition => loaded.set(definition.code, new Locale(definition, fallback)));
+
+    debug(`Loaded locales ${Array.from(loaded.keys()).join(', ')}`);
+    return loaded;
+}
+
+/**
+ * Get the locale of a language
+ * @param {string} code - Language code, defaults to English
+ * @returns {Locale}
+ * @throws {Error} - For a language without a locale file
+ */
+function getLocale(code = DEFAULT_LANGUAGE) {
+    if (!locales) {
+        locales = loadLocales();
+    }
+
+    const locale = locales.get(code);
+
+    if (!locale) {
+        throw new Error(`Unsupported language "${code}", expected one of ${Array.from(locales.keys()).join(', ')}`);
+    }
+
+    return locale;
+}
+
+/**
+ * Check if a language has a locale file
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+function hasLocale(code) {
+    if (!locales) {
+        locales = loadLocales();
+    }
+
+    return locales.has(code);
+}
+
+module.exports = {
+    Locale,
+    getLocale,
+    hasLocale,
+    DEFAULT_LANGUAGE
+};
@@ -0,0 +1,447 @@
+// menu-resolver.js - Maps spoken item names to menu items
+// Matches ASR text against menu names, their translations and the menuKeywords synonyms using exact,
+// phonetic and edit-distance matching, and returns ranked candidates when the text is ambiguous.
+// A quantity and a size in the text ("two large pepperoni") are picked out and returned with the match.
+// Every language resolves to the same menu item IDs
+const { getLocale } = require('./locales');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[MENU] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[MENU] ${message}`);
+        }
+    }
+}
+
+const MENU_CATEGORIES = ['pizzas', 'sides', 'drinks', 'desserts'];
+
+// Words for a whole category, singular as tokenize leaves them. "A pizza" could be any pizza on the menu
+const CATEGORY_WORDS = {
+    pizzas: ['pizza', 'pie'],
+    sides: ['side', 'acompanamiento'],
+    drinks: ['drink', 'bebida'],
+    desserts: ['dessert', 'postre']
+};
+
+// Words customers say around an item name that never identify it, in English and Spanish
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'some', 'please', 'order', 'of', 'can', 'i', 'get', 'want', 'like',
+    'un', 'una', 'unos', 'unas', 'el', 'la', 'los', 'las', 'de', 'del', 'por', 'favor', 'quiero'
+]);
+
+// Spoken quantities, in English and Spanish. "un" and "una" are also articles and stay filler words
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, dozen: 12,
+    dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, docena: 12
+};
+
+// Scores for the different kinds of match, 1 is an exact name or synonym
+const SCORES = {
+    exact: 1,
+    phonetic: 0.9,
+    containsMinimum: 0.6,
+    containsRange: 0.3
+};
+
+// Sounding alike only counts when the spelling is at least this close
+const PHONETIC_MIN_SIMILARITY = 0.6;
+
+// Below this the text does not match an item
+const MATCH_THRESHOLD = 0.7;
+
+// Candidates closer than this to the best match make the text ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Most candidates to hand back to the agent with a match, an ambiguous text gets every close candidate
+const MAX_CANDIDATES = 3;
+
+/**
+ * Split spoken text into words
+ * @param {string} text - Item name as heard
+ * @returns {Array<string>} - Lowercase words without punctuation or filler words
+ */
+function splitWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        // "té helado" matches "te helado"
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !FILLER_WORDS.has(token));
+}
+
+/**
+ * Normalize spoken text for matching
+ * @param {string} text - Item name as heard
+ * @returns {Array<string>} - Lowercase tokens without punctuation, filler words or plural endings
+ */
+function tokenize(text) {
+    return splitWords(text).map(singularize);
+}
+
+/**
+ * Read a spoken quantity
+ * @param {string} word - Lowercase word, e.g. "two" or "2"
+ * @returns {number|null} - Quantity, null if the word is not one
+ */
+function parseQuantity(word) {
+    if (/^[0-9]+$/.test(word)) {
+        const quantity = parseInt(word, 10);
+        return quantity > 0 ? quantity : null;
+    }
+
+    return NUMBER_WORDS[word] || null;
+}
+
+/**
+ * Find the position of a run of tokens in a list of tokens
+ * @param {Array<string>} tokens - Tokens to search
+ * @param {Array<string>} run - Tokens to find, in order
+ * @returns {number} - Index of the first token, -1 if the run is not there
+ */
+function findRun(tokens, run) {
+    for (let i = 0; i + run.length <= tokens.length; i++) {
+        if (run.every((token, offset) => tokens[i + offset] === token)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Drop a plural ending so "wings" and "wing" compare equal
+ * @param {string} token - Lowercase word
+ * @returns {string} - Singular form
+ */
+function singularize(token) {
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+        return token.slice(0, -1);
+    }
+
+    return token;
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity from the edit distance, 1 for equal strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+function similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * American Soundex code of a word, words that sound alike share a code
+ * @param {string} word - Lowercase word
+ * @returns {string} - Code such as "M626"
+ */
+function soundex(word) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    const letters = word.replace(/[^a-z]/g, '');
+
+    if (!letters) return word;
+
+    let code = letters[0].toUpperCase();
+    let last = codes[letters[0]] || 0;
+
+    for (const letter of letters.slice(1)) {
+        const digit = codes[letter] || 0;
+
+        if (digit && digit !== last) {
+            code += digit;
+        }
+
+        // H and W do not separate letters with the same code
+        if (letter !== 'h' && letter !== 'w') {
+            last = digit;
+        }
+    }
+
+    return (code + '000').substring(0, 4);
+}
+
+/**
+ * Check whether two words are the same word, allowing for a small misspelling
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {boolean}
+ */
+function tokensMatch(a, b) {
+    return a === b || (Math.min(a.length, b.length) >= 4 && similarity(a, b) >= 0.8);
+}
+
+/**
+ * Score how well spoken tokens match one name of a menu item
+ * @param {Array<string>} query - Tokens of the spoken text
+ * @param {Array<string>} term - Tokens of a menu name or synonym
+ * @returns {Object} - { score, matchedOn }
+ */
+function scoreTerm(query, term) {
+    const queryText = query.join(' ');
+    const termText = term.join(' ');
+
+    if (queryText === termText) {
+        return { score: SCORES.exact, matchedOn: 'exact' };
+    }
+
+    let best = { score: 0, matchedOn: null };
+
+    // Spelling mistakes, also "meatlovers" against "meat lovers"
+    const spelling = Math.max(similarity(queryText, termText), similarity(queryText.replace(/ /g, ''), termText.replace(/ /g, '')));
+
+    // Soundex alone is too loose for short words ("coke" and "cheese" share a code)
+    if (spelling >= PHONETIC_MIN_SIMILARITY && query.length === term.length &&
+        query.map(soundex).join(' ') === term.map(soundex).join(' ')) {
+        best = { score: SCORES.phonetic, matchedOn: 'phonetic' };
+    }
+
+    if (spelling > best.score) {
+        best = { score: spelling, matchedOn: 'spelling' };
+    }
+
+    // One name contained in the other, e.g. "chicken" in "bbq chicken"
+    const common = query.filter(token => term.some(other => tokensMatch(token, other))).length;
+
+    if (common > 0 && common === Math.min(query.length, term.length)) {
+        const contains = SCORES.containsMinimum + SCORES.containsRange * common / Math.max(query.length, term.length);
+
+        if (contains > best.score) {
+            best = { score: contains, matchedOn: 'contains' };
+        }
+    }
+
+    return best;
+}
+
+class MenuResolver {
+    /**
+     * @param {Object} restaurantData - Restaurant data with the menu and menuKeywords
+     */
+    constructor(restaurantData) {
+        this.restaurantData = restaurantData;
+        this.entries = this.buildIndex(restaurantData);
+        this.sizes = this.buildSizeIndex(restaurantData);
+    }
+
+    /**
+     * Collect the ways a size of the menu can be said, longest first so "x large" wins over "large"
+     * @param {Object} data - Restaurant data
+     * @returns {Array<Object>} - { name: size name on the menu, tokens }
+     */
+    buildSizeIndex(data) {
+        const sizes = ((data && data.customizations && data.customizations.sizes) || []).map(size => size.name);
+
+        return sizes
+            .flatMap(name => {
+                const tokens = tokenize(name);
+                // "X-Large" is said "extra large"
+                const spoken = tokens[0] === 'x' ? [tokens, ['extra', ...tokens.slice(1)]] : [tokens];
+
+                return spoken.filter(run => run.length > 0).map(run => ({ name: name, tokens: run }));
+            })
+            .sort((a, b) => b.tokens.length - a.tokens.length);
+    }
+
+    /**
+     * Pick the quantity and the size out of spoken text
+     * @param {string} text - Item as heard, e.g. "two large pepperoni"
+     * @returns {Object} - { tokens: what is left to match, quantity: number or null, size: menu size name or null }
+     */
+    parseOrder(text) {
+        const words = splitWords(text);
+        let quantity = null;
+
+        // The first number is the quantity, unless it is all that was said
+        const quantityIndex = words.findIndex(word => parseQuantity(word) !== null);
+
+        if (quantityIndex !== -1 && words.length > 1) {
+            quantity = parseQuantity(words[quantityIndex]);
+            words.splice(quantityIndex, 1);
+        }
+
+        const tokens = words.map(singularize);
+        let size = null;
+
+        for (const candidate of this.sizes) {
+            const index = findRun(tokens, candidate.tokens);
+
+            if (index !== -1 && tokens.length > candidate.tokens.length) {
+                size = candidate.name;
+                tokens.splice(index, candidate.tokens.length);
+                break;
+            }
+        }
+
+        return { tokens: tokens, quantity: quantity, size: size };
+    }
+
+    /**
+     * Collect every name a menu item can be called by
+     * @param {Object} data - Restaurant data
+     * @returns {Array<Object>} - { item, category, terms: [tokens] } per menu item
+     */
+    buildIndex(data) {
+        const menu = (data && data.menu) || {};
+        const entries = [];
+        const byId = new Map();
+
+        MENU_CATEGORIES.forEach(category => (menu[category] || []).forEach(item => {
+            const entry = { item, category, terms: [tokenize(item.name), [item.id.toLowerCase()]] };
+
+            // Names in other languages, e.g. { "es": "Refresco" }
+            Object.values(item.translations || {}).forEach(name => entry.terms.push(tokenize(name)));
+
+            entries.push(entry);
+            byId.set(item.id, entry);
+        }));
+
+        // menuKeywords: keyword -> [menu item id, ...aliases]
+        Object.entries((data && data.menuKeywords) || {}).forEach(([keyword, variants]) => {
+            const [id, ...aliases] = variants;
+            const entry = byId.get(id);
+
+            if (!entry) return;
+
+            [keyword, ...aliases].forEach(name => entry.terms.push(tokenize(name)));
+        });
+
+        return entries;
+    }
+
+    /**
+     * Resolve spoken text to a menu item
+     * @param {string} text - Item name as heard, e.g. "margarita" or "a coke"
+     * @param {Object} options - { itemIds: only consider these menu item IDs }
+     * @returns {Object} - { status: 'matched' | 'ambiguous' | 'not_found', item, category, candidates,
+     *                       quantity and size heard in the text, null if there were none }
+     */
+    resolve(text, options = {}) {
+        const { tokens: query, quantity, size } = this.parseOrder(text);
+        const heard = { quantity: quantity, size: size };
+
+        if (query.length === 0) {
+            return { status: 'not_found', item: null, category: null, candidates: [], ...heard };
+        }
+
+        const entries = options.itemIds
+            ? this.entries.filter(entry => options.itemIds.includes(entry.item.id))
+            : this.entries;
+
+        // Only a category was named, the customer picks from all of its items
+        const category = query.length === 1 && MENU_CATEGORIES.find(name => CATEGORY_WORDS[name].includes(query[0]));
+        const inCategory = category ? entries.filter(entry => entry.category === category) : [];
+
+        if (inCategory.length > 0) {
+            const candidates = inCategory.map(entry => ({
+                id: entry.item.id,
+                name: entry.item.name,
+                category: entry.category,
+                score: SCORES.containsMinimum,
+                matchedOn: 'category'
+            }));
+
+            debug(`"${text}" names the ${category} category`, candidates);
+
+            // E.g. "the pizza" with one pizza in the cart
+            if (inCategory.length === 1) {
+                return { status: 'matched', item: inCategory[0].item, category: category, candidates: candidates, ...heard };
+            }
+
+            return { status: 'ambiguous', item: null, category: null, candidates: candidates, ...heard };
+        }
+
+        const ranked = entries
+            .map(entry => {
+                const best = entry.terms
+                    .map(term => scoreTerm(query, term))
+                    .reduce((a, b) => (b.score > a.score ? b : a));
+
+                return {
+                    id: entry.item.id,
+                    name: entry.item.name,
+                    category: entry.category,
+                    score: Math.round(best.score * 100) / 100,
+                    matchedOn: best.matchedOn,
+                    entry: entry
+                };
+            })
+            .filter(candidate => candidate.score >= MATCH_THRESHOLD)
+            .sort((a, b) => b.score - a.score);
+
+        const toCandidate = ({ entry, ...candidate }) => candidate;
+
+        if (ranked.length === 0) {
+            debug(`No menu item for "${text}"`);
+            return { status: 'not_found', item: null, category: null, candidates: [], ...heard };
+        }
+
+        if (ranked.length > 1 && ranked[0].score - ranked[1].score < AMBIGUITY_MARGIN) {
+            // Every item that matches as well as the best one, the agent cannot ask about some of them only
+            const candidates = ranked
+                .filter(candidate => ranked[0].score - candidate.score < AMBIGUITY_MARGIN)
+                .map(toCandidate);
+
+            debug(`"${text}" is ambiguous`, candidates);
+            return { status: 'ambiguous', item: null, category: null, candidates: candidates, ...heard };
+        }
+
+        debug(`Resolved "${text}" to ${ranked[0].name} (${ranked[0].matchedOn}, ${ranked[0].score})`);
+
+        return {
+            status: 'matched',
+            item: ranked[0].entry.item,
+            category: ranked[0].category,
+            candidates: ranked.slice(0, MAX_CANDIDATES).map(toCandidate),
+            ...heard
+        };
+    }
+}
+
+/**
+ * Describe ambiguous candidates as a question the agent can ask
+ * @param {Array<Object>} candidates - Ranked candidates from resolve
+ * @param {Locale} locale - Language of the session
+ * @returns {string} - e.g. "Did you mean the Margherita or the Cheese Sticks?"
+ */
+function describeCandidates(candidates, locale = getLocale()) {
+    const names = candidates.map(candidate => locale.t('candidates.item', { name: candidate.name }));
+
+    return locale.t('candidates', { options: locale.or(names) });
+}
+
+module.exports = {
+    MenuResolver,
+    describeCandidates
+};
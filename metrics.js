@@ -0,0 +1,81 @@
+// metrics.js - In-process counters for operations, served as JSON by GET /api/metrics
+// A counter is a name and a set of labels, e.g. agent_reconnects_total { profile: 'pizza', outcome: 'succeeded' }
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[METRICS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[METRICS] ${message}`);
+        }
+    }
+}
+
+class Metrics {
+    constructor() {
+        // name + labels -> { name, labels, value }
+        this.counters = new Map();
+        this.startedAt = new Date().toISOString();
+    }
+
+    /**
+     * Add to a counter, it starts at 0
+     * @param {string} name - Counter name
+     * @param {Object} labels - Label -> value, e.g. { profile: 'pizza' }
+     * @param {number} value - Amount to add
+     */
+    increment(name, labels = {}, value = 1) {
+        const key = createKey(name, labels);
+
+        if (!this.counters.has(key)) {
+            this.counters.set(key, { name: name, labels: { ...labels }, value: 0 });
+        }
+
+        this.counters.get(key).value += value;
+        debug(`${name} +${value}`, labels);
+    }
+
+    /**
+     * Read a counter
+     * @param {string} name - Counter name
+     * @param {Object} labels - The labels it was incremented with
+     * @returns {number} - Value, 0 for a counter never incremented
+     */
+    get(name, labels = {}) {
+        const counter = this.counters.get(createKey(name, labels));
+        return counter ? counter.value : 0;
+    }
+
+    /**
+     * Every counter, sorted by name
+     * @returns {Object} - { startedAt, counters: [{ name, labels, value }] }
+     */
+    getSnapshot() {
+        const counters = Array.from(this.counters.values())
+            .map(counter => ({ ...counter, labels: { ...counter.labels } }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return { startedAt: this.startedAt, counters: counters };
+    }
+}
+
+/**
+ * Key of a counter, labels in a fixed order so { a, b } and { b, a } are the same counter
+ * @param {string} name - Counter name
+ * @param {Object} labels - Labels
+ * @returns {string}
+ */
+function createKey(name, labels) {
+    const pairs = Object.keys(labels).sort().map(label => `${label}=${labels[label]}`);
+    return `${name}{${pairs.join(',')}}`;
+}
+
+// Counters shared by the agent sessions and the metrics API
+const metrics = new Metrics();
+
+module.exports = {
+    Metrics,
+    metrics
+};
@@ -0,0 +1,448 @@
+// mock-agent-server.js - Local stand-in for the Deepgram agent WebSocket, for development and CI without a key
+// Speaks the V1 agent protocol: greets with Welcome, answers Settings with SettingsApplied and plays a script of user
+// turns, function calls and agent replies, recording everything the client sent. Every JSON message is checked
+// against schemas/agent-messages.schema.json, a message type or field the agent API does not have gets an Error
+// instead of being ignored.
+// Run it with `node mock-agent-server.js [script.json]` and start a server with DEEPGRAM_AGENT_URL=ws://localhost:8081
+//
+// A script is a JSON array of steps, played in order once the settings arrive. A new conversation (settings without
+// agent.context) first waits for the greeting the client has the agent say with InjectAgentMessage, unless greeting is false:
+//   { "user": "I'd like a pepperoni pizza" }             waits for audio or a typed message, then sends the transcript
+//   { "function": "add_to_cart", "input": { ... } }     asks for a function call and waits for its response
+//   { "agent": "One pepperoni pizza, anything else?" }  speaks: AgentStartedSpeaking, the text, audio, AgentAudioDone
+// "wait": false on a user step sends the transcript without waiting for audio. A typed message
+// (InjectUserMessage) is the transcript of the step it answers, like the agent echoes typed messages.
+// "interruptedBy": "No, a large one" on an agent step has the user talk over the reply halfway through its audio:
+// UserStartedSpeaking and the user's transcript, then the rest of the audio as if it was already on its way,
+// and no AgentAudioDone
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { validate, formatErrors } = require('./schema-validator');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[MOCK-AGENT] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[MOCK-AGENT] ${message}`);
+        }
+    }
+}
+
+const MOCK_AGENT_PORT = parseInt(process.env.MOCK_AGENT_PORT || '8081', 10);
+const DEFAULT_SCRIPT_FILE = path.join(__dirname, 'mock-scripts', 'pizza-order.json');
+
+const MESSAGES_SCHEMA_FILE = path.join(__dirname, 'schemas', 'agent-messages.schema.json');
+
+// Spoken length of the silent audio sent for an agent reply
+const MS_PER_WORD = 250;
+const AUDIO_CHUNK_MS = 200;
+
+/**
+ * Read a script file
+ * @param {string} file - JSON file with an array of steps
+ * @returns {Array<Object>} - Steps
+ */
+function readScript(file = DEFAULT_SCRIPT_FILE) {
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!Array.isArray(script)) {
+        throw new Error(`Mock agent script ${file} must be an array of steps`);
+    }
+
+    return script;
+}
+
+let messagesSchema = null;
+
+/**
+ * Check a client message against the agent API's messages
+ * @param {Object} message - Parsed JSON message
+ * @returns {Array<Object>} - { path, message } problems, empty for a message the agent accepts
+ */
+function checkMessage(message) {
+    if (!messagesSchema) {
+        messagesSchema = JSON.parse(fs.readFileSync(MESSAGES_SCHEMA_FILE, 'utf8'));
+    }
+
+    const type = message && message.type;
+
+    if (typeof type !== 'string' || !Object.prototype.hasOwnProperty.call(messagesSchema.messages, type)) {
+        return [{ path: 'type', message: `unknown message type ${JSON.stringify(type)}` }];
+    }
+
+    return validate(message, { ...messagesSchema, $ref: `#/messages/${type}` }).errors;
+}
+
+class MockAgentSession extends EventEmitter {
+    /**
+     * @param {WebSocket} ws - Connection from the Deepgram client
+     * @param {Object} details - { id, path, script, greeting: false to start the script without a greeting }
+     */
+    constructor(ws, details) {
+        super();
+        this.ws = ws;
+        this.id = details.id;
+        this.path = details.path;
+        this.script = details.script;
+        this.expectsGreeting = details.greeting !== false;
+
+        // Everything the client sent, for assertions
+        this.settings = null;
+        this.messages = [];
+        this.audioChunks = 0;
+        this.audioBytes = 0;
+        // Silent audio the mock spoke
+        this.audioChunksSent = 0;
+        this.functionCallResponses = [];
+        this.typedMessages = [];
+        // Messages answered with an Error, with their problems
+        this.rejected = [];
+        // What the client had the agent say before the script, null for a continued conversation
+        this.greeting = null;
+        this.awaitingGreeting = false;
+
+        this.closed = false;
+        this.playing = false;
+        this.finished = false;
+        this.callCount = 0;
+
+        ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+        ws.on('close', () => {
+            this.closed = true;
+            this.emit('close');
+        });
+
+        this.send({ type: 'Welcome', session_id: this.id });
+    }
+
+    /**
+     * Send a JSON event to the client
+     * @param {Object} event - Agent event
+     */
+    send(event) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(event));
+        }
+    }
+
+    /**
+     * Record a message from the client and answer it like the agent would
+     * @param {Buffer} data - Message
+     * @param {boolean} isBinary - True for audio
+     */
+    handleMessage(data, isBinary) {
+        if (isBinary) {
+            this.audioChunks++;
+            this.audioBytes += data.length;
+            this.emit('audio', data);
+            this.emit('input', { audio: data });
+            return;
+        }
+
+        let message;
+
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.send({ type: 'Error', description: `Could not parse message: ${error.message}`, code: 'UNPARSABLE_CLIENT_MESSAGE' });
+            return;
+        }
+
+        this.messages.push(message);
+        this.emit('message', message);
+
+        // The agent rejects messages and fields it does not know instead of ignoring them
+        const problems = checkMessage(message);
+
+        if (problems.length > 0) {
+            debug(`Session ${this.id} rejected ${message.type}`, problems);
+            this.send({ type: 'Error', description: `Invalid ${message.type} message:\n${formatErrors(problems)}`, code: 'UNPARSABLE_CLIENT_MESSAGE' });
+            this.rejected.push({ message: message, problems: problems });
+            this.emit('rejected', { message: message, problems: problems });
+            return;
+        }
+
+        switch (message.type) {
+            case 'Settings':
+                this.settings = message;
+                this.awaitingGreeting = this.expectsGreeting && !message.agent.context;
+                this.send({ type: 'SettingsApplied' });
+                this.play();
+                break;
+            case 'FunctionCallResponse':
+                this.functionCallResponses.push(message);
+                this.emit('function-response', message);
+                break;
+            case 'UpdatePrompt':
+                this.send({ type: 'PromptUpdated' });
+                break;
+            case 'UpdateSpeak':
+                this.send({ type: 'SpeakUpdated' });
+                break;
+            case 'InjectAgentMessage':
+                if (this.awaitingGreeting) {
+                    this.awaitingGreeting = false;
+                    this.greeting = message.message;
+                    this.emit('greeting', message.message);
+                } else {
+                    this.speak(message.message).catch(() => {});
+                }
+                break;
+            case 'InjectUserMessage':
+                this.typedMessages.push(message.content);
+                this.emit('input', { text: message.content });
+                break;
+            case 'KeepAlive':
+                break;
+        }
+    }
+
+    /**
+     * Play the script, stops quietly when the client goes away
+     */
+    async play() {
+        if (this.playing) return;
+        this.playing = true;
+
+        try {
+            if (this.awaitingGreeting) {
+                await this.speak(await this.waitFor('greeting'));
+            }
+
+            for (const step of this.script) {
+                if (step.user !== undefined) {
+                    await this.hearUser(step);
+                } else if (step.function) {
+                    await this.callFunction(step);
+                } else if (step.agent !== undefined) {
+                    await this.speak(step.agent, step.interruptedBy);
+                } else {
+                    throw new Error(`Unknown mock agent script step ${JSON.stringify(step)}`);
+                }
+            }
+
+            this.finished = true;
+            this.emit('finished');
+            debug(`Session ${this.id} finished its script`);
+        } catch (error) {
+            if (!this.closed) {
+                console.error(`Mock agent session ${this.id} stopped: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Wait for an event of this session, fails when the client disconnects first
+     * @param {string} eventName - Event to wait for
+     * @param {Function} predicate - Accepts the event's argument
+     * @returns {Promise<*>} - The event's argument
+     */
+    waitFor(eventName, predicate = () => true) {
+        return new Promise((resolve, reject) => {
+            if (this.closed) {
+                return reject(new Error('Client disconnected'));
+            }
+
+            const onEvent = (value) => {
+                if (!predicate(value)) return;
+                cleanup();
+                resolve(value);
+            };
+            const onClose = () => {
+                cleanup();
+                reject(new Error('Client disconnected'));
+            };
+            const cleanup = () => {
+                this.off(eventName, onEvent);
+                this.off('close', onClose);
+            };
+
+            this.on(eventName, onEvent);
+            this.on('close', onClose);
+        });
+    }
+
+    /**
+     * Play a user turn, emits 'listening' with the step while it waits
+     * @param {Object} step - { user: transcript, wait: false to skip waiting for the user }
+     */
+    async hearUser(step) {
+        let typed;
+
+        if (step.wait !== false) {
+            this.emit('listening', step);
+            typed = (await this.waitFor('input')).text;
+        }
+
+        // Typed messages are not speech, the client keeps playing the agent's audio
+        if (typed === undefined) {
+            this.send({ type: 'UserStartedSpeaking' });
+        }
+
+        this.send({ type: 'ConversationText', role: 'user', content: typed !== undefined ? typed : step.user });
+    }
+
+    /**
+     * Ask the client to run a function and wait for the answer
+     * @param {Object} step - { function: name, input: arguments }
+     */
+    async callFunction(step) {
+        const id = `call_${this.id}_${++this.callCount}`;
+
+        this.send({ type: 'AgentThinking', content: `Calling ${step.function}` });
+        this.send({
+            type: 'FunctionCallRequest',
+            functions: [{ id: id, name: step.function, arguments: JSON.stringify(step.input || {}), client_side: true }]
+        });
+
+        await this.waitFor('function-response', response => response.id === id);
+    }
+
+    /**
+     * Speak a reply as silent linear16 audio at the output rate of the settings
+     * @param {string} text - Reply
+     * @param {string} [interruptedBy] - What the user says over the reply, halfway through its audio
+     */
+    async speak(text, interruptedBy) {
+        const output = (this.settings && this.settings.audio && this.settings.audio.output) || {};
+        const sampleRate = output.sample_rate || 24000;
+        const words = String(text).split(/\s+/).filter(Boolean).length;
+        const chunks = Math.max(1, Math.ceil((words * MS_PER_WORD) / AUDIO_CHUNK_MS));
+        const chunk = Buffer.alloc((sampleRate * AUDIO_CHUNK_MS / 1000) * 2);
+
+        this.send({ type: 'AgentStartedSpeaking', total_latency: 0.1, tts_latency: 0.05, ttt_latency: 0.05 });
+        this.send({ type: 'ConversationText', role: 'assistant', content: text });
+
+        for (let i = 0; i < chunks; i++) {
+            if (this.ws.readyState !== WebSocket.OPEN) {
+                throw new Error('Client disconnected');
+            }
+
+            if (interruptedBy !== undefined && i === Math.floor(chunks / 2)) {
+                this.send({ type: 'UserStartedSpeaking' });
+                this.send({ type: 'ConversationText', role: 'user', content: interruptedBy });
+            }
+
+            this.ws.send(chunk);
+            this.audioChunksSent++;
+            // Let the client read between chunks like it would with real audio
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        if (interruptedBy === undefined) {
+            this.send({ type: 'AgentAudioDone' });
+        }
+    }
+
+    /**
+     * Close the connection from the agent's side, as if the service dropped it
+     * @param {number} code - WebSocket close code
+     */
+    drop(code = 1011) {
+        this.ws.close(code, 'Mock agent closed the connection');
+    }
+}
+
+class MockAgentServer extends EventEmitter {
+    /**
+     * @param {Object} options - { port: 0 for any free port, script: steps, defaults to mock-scripts/pizza-order.json,
+     *                            greeting: false when clients do not inject a greeting }
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port !== undefined ? options.port : MOCK_AGENT_PORT;
+        this.script = options.script || readScript();
+        this.greeting = options.greeting;
+        this.server = null;
+        this.sessions = [];
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} - URL to set as DEEPGRAM_AGENT_URL
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocket.Server({ port: this.port });
+
+            this.server.once('error', reject);
+            this.server.once('listening', () => {
+                this.port = this.server.address().port;
+                debug(`Listening at ${this.url}`);
+                resolve(this.url);
+            });
+
+            this.server.on('connection', (ws, req) => {
+                const session = new MockAgentSession(ws, {
+                    id: this.sessions.length + 1,
+                    path: req.url,
+                    script: this.script,
+                    greeting: this.greeting
+                });
+
+                this.sessions.push(session);
+                debug(`Session ${session.id} connected on ${req.url}`);
+                this.emit('session', session);
+            });
+        });
+    }
+
+    /**
+     * URL of the server
+     * @returns {string}
+     */
+    get url() {
+        return `ws://localhost:${this.port}`;
+    }
+
+    /**
+     * Wait for the next session to connect
+     * @returns {Promise<MockAgentSession>}
+     */
+    nextSession() {
+        return new Promise(resolve => this.once('session', resolve));
+    }
+
+    /**
+     * Close every session and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        this.sessions.forEach(session => session.ws.terminate());
+
+        return new Promise(resolve => this.server.close(() => {
+            this.server = null;
+            resolve();
+        }));
+    }
+}
+
+if (require.main === module) {
+    const script = readScript(process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_SCRIPT_FILE);
+    const mock = new MockAgentServer({ script: script });
+
+    mock.start().then(url => {
+        console.log(`Mock Deepgram agent at ${url}, start the server with DEEPGRAM_AGENT_URL=${url}`);
+    });
+
+    mock.on('session', session => {
+        console.log(`Session ${session.id} connected`);
+        session.on('message', message => console.log(`Session ${session.id} sent ${message.type}`));
+        session.on('close', () => console.log(`Session ${session.id} closed after ${session.audioBytes} bytes of audio`));
+    });
+}
+
+module.exports = {
+    MockAgentServer,
+    MockAgentSession,
+    readScript,
+    checkMessage
+};
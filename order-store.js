@@ -0,0 +1,257 @@
+// order-store.js - Persists placed orders as JSON files in DATA_DIR/orders
+// Assigns order numbers and emits order_created / order_updated so staff tools can follow along
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[ORDERS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[ORDERS] ${message}`);
+        }
+    }
+}
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Order lifecycle, in order
+const ORDER_STATUSES = ['new', 'accepted', 'in_oven', 'ready', 'completed', 'cancelled'];
+
+// Channels an order can come from
+const ORDER_CHANNELS = ['web', 'phone'];
+
+// First order number handed out by an empty store
+const FIRST_ORDER_NUMBER = 1001;
+
+class OrderStore extends EventEmitter {
+    /**
+     * @param {string} directory - Directory holding one JSON file per order
+     */
+    constructor(directory = path.join(DATA_DIR, 'orders')) {
+        super();
+        this.directory = directory;
+        this.orders = new Map();
+        this.nextOrderNumber = FIRST_ORDER_NUMBER;
+
+        this.load();
+    }
+
+    /**
+     * Read the saved orders from disk
+     */
+    load() {
+        if (!fs.existsSync(this.directory)) {
+            return;
+        }
+
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const order = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                    this.orders.set(order.id, order);
+                    this.nextOrderNumber = Math.max(this.nextOrderNumber, order.orderNumber + 1);
+                } catch (error) {
+                    console.error(`Error reading order file ${file}:`, error);
+                }
+            });
+
+        debug(`Loaded ${this.orders.size} orders`);
+    }
+
+    /**
+     * Write an order to its file, through a temporary file so a crash never leaves half an order
+     * @param {Object} order - Order to save
+     */
+    save(order) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const file = path.join(this.directory, `${order.id}.json`);
+        const tempFile = `${file}.tmp`;
+
+        fs.writeFileSync(tempFile, JSON.stringify(order, null, 2));
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Store a new order
+     * @param {Object} details - { sessionId, channel, customer, delivery, items, pricing }
+     * @returns {Object} - The saved order with its id and order number
+     */
+    createOrder(details) {
+        const now = new Date().toISOString();
+        const order = {
+            id: crypto.randomUUID(),
+            orderNumber: this.nextOrderNumber++,
+            status: 'new',
+            channel: ORDER_CHANNELS.includes(details.channel) ? details.channel : 'web',
+            sessionId: details.sessionId || null,
+            customer: {
+                name: (details.customer && details.customer.name) || null,
+                phone: (details.customer && details.customer.phone) || null,
+                address: (details.customer && details.customer.address) || null
+            },
+            delivery: Boolean(details.delivery),
+            items: details.items || [],
+            pricing: details.pricing || null,
+            createdAt: now,
+            updatedAt: now,
+            statusHistory: [{ status: 'new', at: now }]
+        };
+
+        this.orders.set(order.id, order);
+        this.save(order);
+        debug(`Created order #${order.orderNumber}`, { id: order.id, channel: order.channel });
+
+        this.emit('order_created', order);
+        return order;
+    }
+
+    /**
+     * Replace the contents of an order the kitchen has not picked up yet
+     * @param {string} id - Order ID
+     * @param {Object} details - { customer, delivery, items, pricing }
+     * @returns {Object|null} - Updated order, or null if not found or already accepted
+     */
+    updateOrder(id, details) {
+        const order = this.orders.get(id);
+
+        if (!order || order.status !== 'new') {
+            return null;
+        }
+
+        if (details.customer) {
+            order.customer = { ...order.customer, ...details.customer };
+        }
+
+        if (details.delivery !== undefined) {
+            order.delivery = Boolean(details.delivery);
+        }
+
+        if (details.items) {
+            order.items = details.items;
+        }
+
+        if (details.pricing) {
+            order.pricing = details.pricing;
+        }
+
+        order.updatedAt = new Date().toISOString();
+        this.save(order);
+        debug(`Updated order #${order.orderNumber}`);
+
+        this.emit('order_updated', order);
+        return order;
+    }
+
+    /**
+     * Move an order to a new status
+     * @param {string} idOrNumber - Order ID or order number
+     * @param {string} status - One of ORDER_STATUSES
+     * @returns {Object|null} - Updated order or null if not found
+     */
+    updateStatus(idOrNumber, status) {
+        if (!ORDER_STATUSES.includes(status)) {
+            throw new Error(`Invalid order status "${status}", expected one of ${ORDER_STATUSES.join(', ')}`);
+        }
+
+        const order = this.getOrder(idOrNumber);
+
+        if (!order) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        order.status = status;
+        order.updatedAt = now;
+        order.statusHistory.push({ status, at: now });
+
+        this.save(order);
+        debug(`Order #${order.orderNumber} is now ${status}`);
+
+        this.emit('order_updated', order);
+        return order;
+    }
+
+    /**
+     * Find an order
+     * @param {string|number} idOrNumber - Order ID or order number
+     * @returns {Object|null} - Order or null if not found
+     */
+    getOrder(idOrNumber) {
+        if (this.orders.has(idOrNumber)) {
+            return this.orders.get(idOrNumber);
+        }
+
+        // Only all-digit input is an order number, "1001abc" is not order 1001
+        if (!/^\d+$/.test(String(idOrNumber))) {
+            return null;
+        }
+
+        const orderNumber = Number(idOrNumber);
+
+        return Array.from(this.orders.values()).find(order => order.orderNumber === orderNumber) || null;
+    }
+
+    /**
+     * List orders, newest first
+     * @param {Object} filters - { status, channel, limit }
+     * @returns {Array<Object>} - Matching orders
+     */
+    listOrders(filters = {}) {
+        const statuses = filters.status ? String(filters.status).split(',') : null;
+
+        const orders = Array.from(this.orders.values())
+            .filter(order => !statuses || statuses.includes(order.status))
+            .filter(order => !filters.channel || order.channel === filters.channel)
+            .sort((a, b) => b.orderNumber - a.orderNumber);
+
+        const limit = parseInt(filters.limit, 10);
+
+        return limit > 0 ? orders.slice(0, limit) : orders;
+    }
+
+    /**
+     * Find a returning customer by phone number
+     * @param {string} phone - Phone number, only its digits are compared
+     * @returns {Object|null} - { name, phone, address } of the customer's latest order with a name, or null
+     */
+    findCustomer(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+
+        if (!digits) return null;
+
+        const order = this.listOrders().find(candidate =>
+            candidate.customer.name && String(candidate.customer.phone || '').replace(/\D/g, '') === digits);
+
+        return order ? { ...order.customer } : null;
+    }
+}
+
+// Store shared by the agent sessions and the orders API, created on first use so requiring
+// this module does not read DATA_DIR
+let orderStore = null;
+
+/**
+ * Get the shared order store
+ * @returns {OrderStore}
+ */
+function getOrderStore() {
+    if (!orderStore) {
+        orderStore = new OrderStore();
+    }
+
+    return orderStore;
+}
+
+module.exports = {
+    OrderStore,
+    getOrderStore,
+    ORDER_STATUSES
+};
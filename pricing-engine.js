@@ -0,0 +1,186 @@
+// pricing-engine.js - Prices cart lines and orders from the restaurant data
+// Used by the cart, checkout and the agent responses so every channel quotes the same total
+const { getLocale } = require('./locales');
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} - Rounded amount
+ */
+function roundCurrency(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Get the tax rate, the TAX_RATE environment variable wins over the restaurant data
+ * @param {Object} data - Restaurant data
+ * @returns {number} - Tax rate as a fraction (0.08 = 8%)
+ */
+function getTaxRate(data) {
+    if (process.env.TAX_RATE !== undefined && !isNaN(parseFloat(process.env.TAX_RATE))) {
+        return parseFloat(process.env.TAX_RATE);
+    }
+
+    return (data && data.pricing && data.pricing.taxRate) || 0;
+}
+
+/**
+ * Price a single line item
+ * @param {Object} line - Line item (price, quantity, size, crust, customizations)
+ * @param {Object} data - Restaurant data
+ * @returns {Object} - Itemized price for one unit and for the whole line
+ */
+function priceLineItem(line, data) {
+    const customizationData = (data && data.customizations) || {};
+    const pricingData = (data && data.pricing) || {};
+    const quantity = line.quantity || 1;
+
+    // Adjust for size if applicable
+    let sizeFactor = 1;
+
+    if (line.size && customizationData.sizes) {
+        const sizeData = customizationData.sizes.find(s => s.name.toLowerCase() === line.size.toLowerCase());
+
+        if (sizeData && sizeData.adjustmentFactor) {
+            sizeFactor = sizeData.adjustmentFactor;
+        }
+    }
+
+    // Add cost for toppings
+    const toppings = (line.customizations || []).map(customization => {
+        const name = typeof customization === 'string' ? customization : (customization.name || '');
+        const toppingData = (customizationData.toppings || []).find(t => t.name.toLowerCase() === name.toLowerCase());
+
+        return { name: name, price: toppingData ? toppingData.price : 0 };
+    });
+
+    // Add the crust surcharge if any
+    let crustSurcharge = 0;
+
+    if (line.crust && pricingData.crustSurcharges) {
+        const crustName = Object.keys(pricingData.crustSurcharges)
+            .find(name => name.toLowerCase() === line.crust.toLowerCase());
+
+        crustSurcharge = crustName ? pricingData.crustSurcharges[crustName] : 0;
+    }
+
+    const basePrice = roundCurrency((line.price || 0) * sizeFactor);
+    const toppingsTotal = toppings.reduce((total, topping) => total + topping.price, 0);
+    const unitPrice = roundCurrency(basePrice + toppingsTotal + crustSurcharge);
+
+    return {
+        basePrice: basePrice,
+        sizeFactor: sizeFactor,
+        toppings: toppings,
+        crustSurcharge: crustSurcharge,
+        unitPrice: unitPrice,
+        quantity: quantity,
+        lineTotal: roundCurrency(unitPrice * quantity)
+    };
+}
+
+/**
+ * Work out the discount of an applied deal against the priced lines it covers
+ * @param {Object} deal - Applied deal (id, name, price, covers: [{ lineId, quantity }])
+ * @param {Map<string, Object>} pricedLines - Priced lines keyed by line id
+ * @returns {Object} - Discount line for the breakdown
+ */
+function priceDeal(deal, pricedLines) {
+    const regularPrice = (deal.covers || []).reduce((total, cover) => {
+        const line = pricedLines.get(cover.lineId);
+        return line ? total + line.unitPrice * cover.quantity : total;
+    }, 0);
+
+    return {
+        dealId: deal.id,
+        name: deal.name,
+        regularPrice: roundCurrency(regularPrice),
+        dealPrice: deal.price,
+        amount: roundCurrency(Math.max(0, regularPrice - deal.price))
+    };
+}
+
+/**
+ * Price a whole order
+ * @param {Array<Object>} lines - Line items with an id
+ * @param {Object} data - Restaurant data
+ * @param {Object} options - { delivery: boolean, deals: applied deals }
+ * @returns {Object} - Itemized breakdown with subtotal, discounts, tax, delivery fee and total
+ */
+function priceOrder(lines, data, options = {}) {
+    const delivery = Boolean(options.delivery);
+    const deliveryData = (data && data.delivery) || {};
+
+    const pricedLines = new Map();
+    const items = (lines || []).map(line => {
+        const price = priceLineItem(line, data);
+        pricedLines.set(line.id, price);
+
+        return {
+            id: line.id,
+            name: line.name,
+            size: line.size || null,
+            crust: line.crust || null,
+            customizations: line.customizations || [],
+            ...price
+        };
+    });
+
+    const subtotal = roundCurrency(items.reduce((total, item) => total + item.lineTotal, 0));
+    const discounts = (options.deals || []).map(deal => priceDeal(deal, pricedLines));
+    const discountTotal = roundCurrency(discounts.reduce((total, discount) => total + discount.amount, 0));
+    const taxableAmount = roundCurrency(subtotal - discountTotal);
+
+    const taxRate = getTaxRate(data);
+    const tax = roundCurrency(taxableAmount * taxRate);
+
+    const deliveryMinimum = deliveryData.minimum || 0;
+    const meetsDeliveryMinimum = !delivery || taxableAmount >= deliveryMinimum;
+    const deliveryFee = delivery ? (deliveryData.fee || 0) : 0;
+
+    return {
+        items: items,
+        subtotal: subtotal,
+        discounts: discounts,
+        discountTotal: discountTotal,
+        taxRate: taxRate,
+        tax: tax,
+        delivery: delivery,
+        deliveryFee: deliveryFee,
+        deliveryMinimum: deliveryMinimum,
+        meetsDeliveryMinimum: meetsDeliveryMinimum,
+        deliveryShortfall: meetsDeliveryMinimum ? 0 : roundCurrency(deliveryMinimum - taxableAmount),
+        total: roundCurrency(taxableAmount + tax + deliveryFee)
+    };
+}
+
+/**
+ * Describe an order price the way the agent should say it
+ * @param {Object} pricing - Result of priceOrder
+ * @param {Locale} locale - Language of the session
+ * @returns {string} - Spoken summary of the total
+ */
+function describeOrderPrice(pricing, locale = getLocale()) {
+    const parts = [locale.t('price.subtotal', { amount: pricing.subtotal.toFixed(2) })];
+
+    pricing.discounts.filter(discount => discount.amount > 0).forEach(discount => {
+        parts.push(locale.t('price.discount', { name: discount.name, amount: discount.amount.toFixed(2) }));
+    });
+
+    if (pricing.tax > 0) {
+        parts.push(locale.t('price.tax', { amount: pricing.tax.toFixed(2) }));
+    }
+
+    if (pricing.deliveryFee > 0) {
+        parts.push(locale.t('price.deliveryFee', { amount: pricing.deliveryFee.toFixed(2) }));
+    }
+
+    return locale.t('price.total', { parts: parts.join(', '), amount: pricing.total.toFixed(2) });
+}
+
+module.exports = {
+    roundCurrency,
+    priceLineItem,
+    priceOrder,
+    describeOrderPrice
+};
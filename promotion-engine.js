@@ -0,0 +1,163 @@
+// promotion-engine.js - Checks a session's cart against the restaurant deals
+// Works out which cart lines a deal would cover and the exact savings using the pricing engine
+const { priceLineItem, roundCurrency } = require('./pricing-engine');
+const { getLocalDateTime, getTimezone, toMinutes } = require('./business-hours');
+
+/**
+ * Check a deal's time window
+ * @param {Object} deal - Deal from the restaurant data
+ * @param {number} minutesNow - Current time of day at the restaurant, in minutes since midnight
+ * @returns {boolean} - True if the deal can be used now
+ */
+function isWithinTimeRestriction(deal, minutesNow) {
+    if (!deal.timeRestriction) return true;
+
+    return minutesNow >= toMinutes(deal.timeRestriction.start) &&
+        minutesNow < toMinutes(deal.timeRestriction.end);
+}
+
+/**
+ * Check whether a cart line can count towards a deal requirement
+ * @param {Object} line - Cart line item
+ * @param {Object} requirement - Deal requirement (category, size, maxToppings, quantity)
+ * @returns {boolean}
+ */
+function matchesRequirement(line, requirement) {
+    if (requirement.category && line.category !== requirement.category) return false;
+
+    if (requirement.size && (line.size || '').toLowerCase() !== requirement.size.toLowerCase()) return false;
+
+    if (requirement.maxToppings !== undefined && (line.customizations || []).length > requirement.maxToppings) return false;
+
+    return true;
+}
+
+/**
+ * Describe what a cart still needs to meet a requirement
+ * @param {Object} requirement - Deal requirement
+ * @param {number} quantity - How many more units are needed
+ * @returns {string} - Spoken description, e.g. "2 more sides"
+ */
+function describeMissing(requirement, quantity) {
+    const size = requirement.size ? `${requirement.size.toLowerCase()} ` : '';
+    const category = quantity === 1 ? requirement.category.replace(/s$/, '') : requirement.category;
+    const toppings = requirement.maxToppings !== undefined ? ` with up to ${requirement.maxToppings} toppings` : '';
+
+    return `${quantity} more ${size}${category}${toppings}`;
+}
+
+/**
+ * Try to fit a deal onto the cart
+ * @param {Object} deal - Deal from the restaurant data
+ * @param {Array<Object>} lines - Cart line items
+ * @param {Object} data - Restaurant data
+ * @param {Map<string, number>} usedQuantities - Units per line already covered by applied deals
+ * @returns {Object} - { qualifies, covers, regularPrice, savings, missing }
+ */
+function evaluateDeal(deal, lines, data, usedQuantities) {
+    const available = new Map(lines.map(line => [line.id, line.quantity - (usedQuantities.get(line.id) || 0)]));
+    const covers = [];
+    const missing = [];
+
+    // Most expensive units first so the customer gets the biggest saving
+    const pricedLines = lines
+        .map(line => ({ line, unitPrice: priceLineItem(line, data).unitPrice }))
+        .sort((a, b) => b.unitPrice - a.unitPrice);
+
+    let regularPrice = 0;
+
+    for (const requirement of deal.requirements || []) {
+        let needed = requirement.quantity || 1;
+
+        for (const { line, unitPrice } of pricedLines) {
+            if (needed === 0) break;
+            if (!matchesRequirement(line, requirement)) continue;
+
+            const quantity = Math.min(needed, available.get(line.id));
+            if (quantity <= 0) continue;
+
+            available.set(line.id, available.get(line.id) - quantity);
+            covers.push({ lineId: line.id, quantity });
+            regularPrice += unitPrice * quantity;
+            needed -= quantity;
+        }
+
+        if (needed > 0) {
+            missing.push(describeMissing(requirement, needed));
+        }
+    }
+
+    regularPrice = roundCurrency(regularPrice);
+
+    return {
+        qualifies: missing.length === 0 && (deal.requirements || []).length > 0,
+        covers: covers,
+        regularPrice: regularPrice,
+        savings: roundCurrency(regularPrice - deal.price),
+        missing: missing
+    };
+}
+
+/**
+ * Find the best deal for a cart
+ * @param {CartEngine} cartEngine - Session cart
+ * @param {Object} data - Restaurant data
+ * @param {Object} options - { minutesNow: time of day at the restaurant, dealId: only consider this deal }
+ * @returns {Object} - { deal, covers, savings } for the best applicable deal, or { deal: null, closest } if none applies
+ */
+function findBestDeal(cartEngine, data, options = {}) {
+    const minutesNow = options.minutesNow !== undefined
+        ? options.minutesNow
+        : getLocalDateTime(new Date(), getTimezone(data)).minutes;
+
+    // Units already used by applied deals cannot count twice
+    const usedQuantities = new Map();
+    cartEngine.appliedDeals.forEach(applied => applied.covers.forEach(cover => {
+        usedQuantities.set(cover.lineId, (usedQuantities.get(cover.lineId) || 0) + cover.quantity);
+    }));
+
+    let best = null;
+    let closest = null;
+
+    const deals = ((data && data.deals) || []).filter(deal => !options.dealId || deal.id === options.dealId);
+
+    for (const deal of deals) {
+        if (!isWithinTimeRestriction(deal, minutesNow)) continue;
+
+        const evaluation = evaluateDeal(deal, cartEngine.items, data, usedQuantities);
+
+        if (evaluation.qualifies && evaluation.savings > 0) {
+            if (!best || evaluation.savings > best.savings) {
+                best = { deal, ...evaluation };
+            }
+        } else if (!evaluation.qualifies && (!closest || evaluation.missing.length < closest.missing.length)) {
+            closest = { deal, missing: evaluation.missing };
+        }
+    }
+
+    if (best) {
+        return { deal: best.deal, covers: best.covers, regularPrice: best.regularPrice, savings: best.savings };
+    }
+
+    return { deal: null, closest: closest };
+}
+
+/**
+ * Find a deal by ID or name
+ * @param {Object} data - Restaurant data
+ * @param {string} nameOrId - Deal ID or name as spoken by the customer
+ * @returns {Object|null} - Deal or null if not found
+ */
+function findDeal(data, nameOrId) {
+    if (!nameOrId) return null;
+
+    const search = nameOrId.toLowerCase().trim();
+
+    return ((data && data.deals) || []).find(deal =>
+        deal.id.toLowerCase() === search || deal.name.toLowerCase() === search) || null;
+}
+
+module.exports = {
+    findBestDeal,
+    findDeal
+};
@@ -0,0 +1,264 @@
+// prompt-templates.js - Builds agent instructions from the template files in prompts/
+// Templates use {{variable}} (dotted paths allowed), {{> partial}} from prompts/partials/ and
+// {{#section name}}...{{/section}} blocks that an agent profile can replace through promptSections.
+// Other languages have their own files named <template>.<language>.txt, e.g. restaurant.es.txt
+
+const fs = require('fs');
+const path = require('path');
+const { getBusinessStatus, formatTime } = require('./business-hours');
+const { DEFAULT_LANGUAGE } = require('./locales');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[PROMPTS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[PROMPTS] ${message}`);
+        }
+    }
+}
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Partials can include other partials, this stops a partial that includes itself
+const MAX_PARTIAL_DEPTH = 5;
+
+const PARTIAL_PATTERN = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{#section\s+([\w-]+)\s*\}\}\n?([\s\S]*?)\{\{\/section\}\}\n?/g;
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Read a template file
+ * @param {string} file - Path of the file
+ * @param {string} description - What the file is, for the error message
+ * @returns {string} - File contents
+ */
+function readTemplate(file, description) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read ${description} ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Get the file name of a template or partial in a language
+ * @param {string} name - Template or partial name
+ * @param {string} language - Language code
+ * @returns {string} - e.g. restaurant.txt or restaurant.es.txt
+ */
+function templateFileName(name, language) {
+    return !language || language === DEFAULT_LANGUAGE ? `${name}.txt` : `${name}.${language}.txt`;
+}
+
+/**
+ * Replace {{> partial}} tags with the partial files
+ * @param {string} text - Template text
+ * @param {string} directory - Prompts directory
+ * @param {string} language - Language of the partials
+ * @param {number} depth - Nesting level so far
+ * @returns {string} - Text without partial tags
+ */
+function expandPartials(text, directory, language, depth = 0) {
+    if (depth > MAX_PARTIAL_DEPTH) {
+        throw new Error(`Prompt partials are nested more than ${MAX_PARTIAL_DEPTH} levels deep`);
+    }
+
+    return text.replace(PARTIAL_PATTERN, (match, name) => {
+        const file = path.join(directory, 'partials', templateFileName(name, language));
+        const partial = readTemplate(file, 'prompt partial').replace(/\n$/, '');
+
+        return expandPartials(partial, directory, language, depth + 1);
+    });
+}
+
+/**
+ * List the section names of a template
+ * @param {string} text - Template text with partials expanded
+ * @returns {Array<string>} - Section names
+ */
+function listSections(text) {
+    return Array.from(text.matchAll(SECTION_PATTERN), match => match[1]);
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template name, a file in the prompts directory without .txt
+ * @param {Object} variables - Values for {{variables}}
+ * @param {Object} options - { sections: name -> replacement text, language, directory }
+ * @returns {string} - Rendered prompt
+ * @throws {Error} - For a missing file, an unknown section or an unknown variable
+ */
+function renderTemplate(template, variables, options = {}) {
+    const directory = options.directory || PROMPTS_DIR;
+    const overrides = options.sections || {};
+    const language = options.language;
+
+    const file = path.join(directory, templateFileName(template, language));
+    const text = expandPartials(readTemplate(file, 'prompt template'), directory, language);
+    const sections = listSections(text);
+
+    Object.keys(overrides).forEach(name => {
+        if (!sections.includes(name)) {
+            throw new Error(`Prompt template "${template}" has no section "${name}", expected one of ${sections.join(', ')}`);
+        }
+    });
+
+    // Empty optional variables, e.g. no holidays, leave blank lines that are collapsed at the end
+    const withSections = text.replace(SECTION_PATTERN, (match, name, content) =>
+        (overrides[name] !== undefined ? expandPartials(overrides[name], directory, language).replace(/\n*$/, '\n') : content));
+
+    return withSections.replace(VARIABLE_PATTERN, (match, name) => {
+        const value = name.split('.').reduce((node, key) => (node !== undefined && node !== null ? node[key] : undefined), variables);
+
+        if (value === undefined || value === null || typeof value === 'object') {
+            throw new Error(`Unknown prompt variable "${name}" in template "${template}"`);
+        }
+
+        return String(value);
+    }).replace(/\n{3,}/g, '\n\n').trimEnd();
+}
+
+/**
+ * Format the opening hours and holidays of the data
+ * @param {Object} data - Profile data
+ * @returns {Object} - { hours, holidays } as prompt lines
+ */
+function formatHours(data) {
+    return {
+        hours: Object.entries(data.hours || {})
+            .map(([day, hours]) => `${day}: ${formatTime(hours.open)} - ${formatTime(hours.close)}`)
+            .join('\n'),
+        holidays: data.holidays && data.holidays.length > 0
+            ? `Holidays: ${data.holidays.map(h => `${h.name} (${h.date}): ${h.closed ? 'closed' : `${formatTime(h.open)} - ${formatTime(h.close)}`}`).join(', ')}`
+            : ''
+    };
+}
+
+/**
+ * Format a list of menu items
+ * @param {Array<Object>} items - Menu items
+ * @param {string} language - Language code, items with a translation are listed under that name
+ * @returns {string} - One "- Name: $price - description" line per item
+ */
+function formatMenuItems(items, language) {
+    return items.map(item => {
+        const name = (item.translations && item.translations[language]) || item.name;
+        return `- ${name}: $${item.price} - ${item.description}`;
+    }).join('\n');
+}
+
+/**
+ * Build the template variables for a profile's data
+ * Restaurant data brings the menu, customizations, deals and delivery; sales data the products
+ * @param {Object} data - Profile data
+ * @param {Date} now - Time the prompt is rendered for
+ * @param {string} language - Language code of the session
+ * @returns {Object} - Template variables
+ */
+function createPromptVariables(data, now = new Date(), language = DEFAULT_LANGUAGE) {
+    // Opening status at the start of this session
+    const status = getBusinessStatus(data, now);
+
+    const variables = {
+        name: data.name,
+        company: data.company || data.name,
+        description: data.description || '',
+        currentTime: `${status.weekday} ${status.localDate}, ${formatTime(status.localTime)} (${status.timezone})`,
+        businessStatus: status.message,
+        ...formatHours(data)
+    };
+
+    if (data.menu) {
+        const customizations = data.customizations;
+        const crustSurcharges = data.pricing && data.pricing.crustSurcharges;
+
+        variables.menu = {
+            pizzas: formatMenuItems(data.menu.pizzas, language),
+            sides: formatMenuItems(data.menu.sides, language),
+            drinks: formatMenuItems(data.menu.drinks, language),
+            desserts: formatMenuItems(data.menu.desserts, language)
+        };
+
+        variables.customizations = {
+            crusts: customizations.crusts.join(', '),
+            sizes: customizations.sizes.map(s => s.name).join(', '),
+            toppings: customizations.toppings.map(t => `${t.name} (+$${t.price.toFixed(2)})`).join(', '),
+            crustSurcharges: crustSurcharges
+                ? `Crust surcharges: ${Object.entries(crustSurcharges).map(([crust, surcharge]) => `${crust} +$${surcharge.toFixed(2)}`).join(', ')}`
+                : '',
+            sizePricing: customizations.sizes.map(s => `${s.name} x${s.adjustmentFactor}`).join(', ')
+        };
+
+        variables.deals = data.deals && data.deals.length > 0
+            ? data.deals.map(d => `- ${d.name}: $${d.price} - ${d.description} ${d.savings || ''}`.trimEnd()).join('\n')
+            : 'No special deals available';
+
+        variables.delivery = {
+            minimum: data.delivery.minimum,
+            fee: data.delivery.fee,
+            taxRate: data.pricing && data.pricing.taxRate ? `${(data.pricing.taxRate * 100).toFixed(2)}%` : 'included',
+            estimatedTime: data.delivery.estimatedTime,
+            radius: data.delivery.radiusInMiles !== undefined ? `${data.delivery.radiusInMiles} miles` : 'ask the restaurant'
+        };
+    }
+
+    if (data.products) {
+        variables.products = data.products
+            .map(p => `- ${p.name}: ${p.description}${p.highlights ? ` (${p.highlights.join(', ')})` : ''}`)
+            .join('\n');
+        variables.qualifyingQuestions = (data.qualifyingQuestions || []).map(q => `- ${q}`).join('\n');
+    }
+
+    return variables;
+}
+
+/**
+ * Read the section overrides of a profile
+ * Other languages read the file with the language before the extension, e.g. guidelines.es.txt
+ * @param {Object} profile - Agent profile with promptSections: name -> file relative to the project root
+ * @param {string} language - Language code
+ * @returns {Object} - name -> replacement text
+ */
+function readSectionOverrides(profile, language) {
+    const overrides = {};
+
+    Object.entries(profile.promptSections || {}).forEach(([name, file]) => {
+        const extension = path.extname(file);
+        const base = extension ? file.slice(0, -extension.length) : file;
+        const localized = !language || language === DEFAULT_LANGUAGE ? file : `${base}.${language}${extension}`;
+
+        overrides[name] = readTemplate(path.join(__dirname, localized), `prompt section "${name}" of profile "${profile.id}"`);
+    });
+
+    return overrides;
+}
+
+/**
+ * Render the instructions of an agent profile
+ * Templates are read on every call so edits apply to the next session without a restart
+ * @param {Object} profile - Agent profile, its instructions name the template
+ * @param {Object} data - Profile data
+ * @param {Object} options - { now: time to render for, defaults to now, language: defaults to the profile's }
+ * @returns {string} - Instructions
+ */
+function renderPrompt(profile, data, options = {}) {
+    const template = profile.instructions || 'restaurant';
+    const language = options.language || profile.language || DEFAULT_LANGUAGE;
+
+    debug(`Rendering prompt ${template} (${language}) for profile ${profile.id}`);
+
+    return renderTemplate(template, createPromptVariables(data, options.now, language), {
+        sections: readSectionOverrides(profile, language),
+        language: language
+    });
+}
+
+module.exports = {
+    renderPrompt,
+    renderTemplate,
+    createPromptVariables,
+    PROMPTS_DIR
+};
@@ -0,0 +1,422 @@
+// restaurant-data-loader.js - Loads the restaurant data JSON file, validates it and reloads it on change
+// Invalid files are reported with the path of every problem and never replace the last good data.
+// Admin changes go to an override file, a JSON merge patch (RFC 7396) layered over the tracked file
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('./schema-validator');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[DATA] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[DATA] ${message}`);
+        }
+    }
+}
+
+const SCHEMA_FILE = path.join(__dirname, 'schemas', 'restaurant-data.schema.json');
+
+const MENU_CATEGORIES = ['pizzas', 'sides', 'drinks', 'desserts'];
+
+// Editors save in several writes, wait for them to settle before reloading
+const RELOAD_DELAY_MS = 200;
+
+/**
+ * Check the references between sections that a schema cannot express
+ * @param {Object} data - Restaurant data that passed the schema
+ * @returns {Array<Object>} - Errors as { path, message }
+ */
+function checkReferences(data) {
+    const errors = [];
+    const itemIds = new Map();
+
+    MENU_CATEGORIES.forEach(category => data.menu[category].forEach((item, index) => {
+        const at = `menu.${category}[${index}].id`;
+
+        if (itemIds.has(item.id)) {
+            errors.push({ path: at, message: `duplicate menu item id "${item.id}", also used at ${itemIds.get(item.id)}` });
+        } else {
+            itemIds.set(item.id, at);
+        }
+    }));
+
+    Object.entries(data.menuKeywords || {}).forEach(([keyword, variants]) => {
+        if (!itemIds.has(variants[0])) {
+            errors.push({ path: `menuKeywords.${keyword}[0]`, message: `"${variants[0]}" is not a menu item id` });
+        }
+    });
+
+    const sizes = data.customizations.sizes.map(size => size.name.toLowerCase());
+    const crusts = data.customizations.crusts.map(crust => crust.toLowerCase());
+
+    (data.deals || []).forEach((deal, dealIndex) => (deal.requirements || []).forEach((requirement, index) => {
+        if (requirement.size && !sizes.includes(requirement.size.toLowerCase())) {
+            errors.push({ path: `deals[${dealIndex}].requirements[${index}].size`, message: `"${requirement.size}" is not one of the sizes` });
+        }
+    }));
+
+    Object.keys((data.pricing && data.pricing.crustSurcharges) || {}).forEach(crust => {
+        if (!crusts.includes(crust.toLowerCase())) {
+            errors.push({ path: `pricing.crustSurcharges.${crust}`, message: `"${crust}" is not one of the crusts` });
+        }
+    });
+
+    (data.holidays || []).forEach((holiday, index) => {
+        if (!holiday.closed && (!holiday.open || !holiday.close)) {
+            errors.push({ path: `holidays[${index}]`, message: 'needs "closed": true or both "open" and "close"' });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Drop the entries an admin switched off with "available": false
+ * @param {Object} data - Restaurant data, changed in place
+ */
+function removeUnavailable(data) {
+    const isAvailable = entry => entry.available !== false;
+
+    MENU_CATEGORIES.forEach(category => {
+        data.menu[category] = data.menu[category].filter(isAvailable);
+    });
+
+    data.customizations.toppings = data.customizations.toppings.filter(isAvailable);
+    data.customizations.sizes = data.customizations.sizes.filter(isAvailable);
+
+    if (data.deals) data.deals = data.deals.filter(isAvailable);
+    if (data.upsellRules) data.upsellRules = data.upsellRules.filter(isAvailable);
+}
+
+/**
+ * Check for a plain JSON object, arrays are replaced whole by a merge patch
+ * @param {*} value - Any JSON value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Layer a JSON merge patch over a document
+ * @param {*} target - Document, left untouched
+ * @param {*} patch - Merge patch, null removes a field
+ * @returns {*} - Patched document
+ */
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return patch;
+    }
+
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Build the merge patch that turns one document into another
+ * @param {*} source - Document the patch applies to
+ * @param {*} target - Document the patch should produce
+ * @returns {Object} - Merge patch, empty when they are the same
+ */
+function createMergePatch(source, target) {
+    const patch = {};
+
+    Object.keys(source).forEach(key => {
+        if (!(key in target)) {
+            patch[key] = null;
+        }
+    });
+
+    Object.entries(target).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(source[key])) {
+            const nested = createMergePatch(source[key], value);
+
+            if (Object.keys(nested).length > 0) {
+                patch[key] = nested;
+            }
+        } else if (JSON.stringify(value) !== JSON.stringify(source[key])) {
+            patch[key] = value;
+        }
+    });
+
+    return patch;
+}
+
+/**
+ * Validate restaurant data and prepare it for the agent
+ * @param {Object} source - Data as stored in the file, left untouched
+ * @param {string} schemaFile - Schema to validate against, other schemas skip the menu checks
+ * @param {string} file - File name for the error message
+ * @returns {Object} - Restaurant data without unavailable entries and with allMenuItems added
+ * @throws {Error} - With every problem listed in the message and in error.validationErrors
+ */
+function prepareRestaurantData(source, schemaFile = SCHEMA_FILE, file = 'restaurant data') {
+    const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    const result = validate(source, schema);
+    const isMenu = path.resolve(schemaFile) === SCHEMA_FILE;
+    const errors = result.valid ? (isMenu ? checkReferences(source) : []) : result.errors;
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid restaurant data in ${file}:\n${formatErrors(errors)}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    const data = JSON.parse(JSON.stringify(source));
+    delete data.$schema;
+
+    if (isMenu) {
+        removeUnavailable(data);
+
+        // Combine all menu items into a single array for easier searching
+        data.allMenuItems = MENU_CATEGORIES.flatMap(category => data.menu[category]);
+    }
+
+    return data;
+}
+
+/**
+ * Read, validate and prepare a restaurant data file
+ * @param {string} file - Path of the JSON file
+ * @param {string} schemaFile - Schema to validate against, other schemas skip the menu checks
+ * @returns {Object} - Restaurant data with allMenuItems added
+ * @throws {Error} - With every problem in the file listed in the message
+ */
+function readRestaurantData(file, schemaFile = SCHEMA_FILE) {
+    let source;
+
+    try {
+        source = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read restaurant data from ${file}: ${error.message}`);
+    }
+
+    return prepareRestaurantData(source, schemaFile, file);
+}
+
+/**
+ * Build the script the web client loads as /restaurant-data.js
+ * @param {Object} data - Restaurant data
+ * @returns {string} - JavaScript that sets window.restaurantData
+ */
+function createBrowserScript(data) {
+    return `window.restaurantData = ${JSON.stringify(data, null, 2)};\n`;
+}
+
+class RestaurantDataLoader extends EventEmitter {
+    /**
+     * @param {string} file - Restaurant data file
+     * @param {string} schemaFile - Schema the file must match
+     * @param {string} overrideFile - Where save() writes its changes, layered over the file, without one save() writes the file itself
+     */
+    constructor(file, schemaFile = SCHEMA_FILE, overrideFile = null) {
+        super();
+        this.file = path.resolve(file);
+        this.schemaFile = path.resolve(schemaFile);
+        this.overrideFile = overrideFile ? path.resolve(overrideFile) : null;
+        this.data = null;
+        this.text = null;
+        this.watchers = [];
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Load the file, throws if it is invalid
+     * @returns {Object} - Restaurant data
+     */
+    load() {
+        const text = this.readText();
+        this.data = prepareRestaurantData(this.parse(text), this.schemaFile, this.file);
+        this.text = text;
+        debug(`Loaded restaurant data for ${this.data.name} from ${this.file}`);
+
+        return this.data;
+    }
+
+    /**
+     * Get the last valid data
+     * @returns {Object|null} - Restaurant data
+     */
+    getData() {
+        return this.data;
+    }
+
+    /**
+     * Get the file as stored with its override, including unavailable entries, for editing
+     * @returns {Object} - Parsed file
+     */
+    getSource() {
+        return this.parse(this.text);
+    }
+
+    /**
+     * Reload the file, keeping the current data if the new file is invalid
+     * Emits 'reload' with the new data or 'invalid' with the error
+     */
+    reload() {
+        try {
+            const text = this.readText();
+
+            // Our own save() already applied this content
+            if (text === this.text) {
+                debug(`${this.file} is unchanged`);
+                return;
+            }
+
+            const data = prepareRestaurantData(this.parse(text), this.schemaFile, this.file);
+            this.data = data;
+            this.text = text;
+            console.log(`Reloaded restaurant data from ${this.file}`);
+
+            this.emit('reload', data);
+        } catch (error) {
+            console.error(`${error.message}\nKeeping the previous restaurant data.`);
+
+            this.emit('invalid', error);
+        }
+    }
+
+    /**
+     * Validate and write new file contents, then apply them like a reload
+     * With an override file only the differences from the file are written there, the file stays as it is.
+     * Written through a temporary file so a crash never leaves half a menu
+     * @param {Object} source - File contents as returned by getSource
+     * @returns {Object} - Restaurant data
+     * @throws {Error} - With error.validationErrors if the contents are invalid, nothing is written
+     */
+    save(source) {
+        const data = prepareRestaurantData(source, this.schemaFile, this.file);
+        const text = `${JSON.stringify(source, null, 4)}\n`;
+
+        if (this.overrideFile) {
+            const patch = createMergePatch(this.parse(this.readFile(this.file), this.file), source);
+
+            fs.mkdirSync(path.dirname(this.overrideFile), { recursive: true });
+            this.writeFile(this.overrideFile, `${JSON.stringify(patch, null, 4)}\n`);
+        } else {
+            this.writeFile(this.file, text);
+        }
+
+        this.data = data;
+        this.text = text;
+        debug(`Saved restaurant data to ${this.overrideFile || this.file}`);
+
+        this.emit('reload', data);
+        return data;
+    }
+
+    /**
+     * Write a file through a temporary file
+     * @param {string} file - Path
+     * @param {string} text - Contents
+     */
+    writeFile(file, text) {
+        const tempFile = `${file}.tmp`;
+
+        fs.writeFileSync(tempFile, text);
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Read the file with the override layered over it, as the text of the combined contents
+     * @returns {string} - Contents
+     */
+    readText() {
+        const text = this.readFile(this.file);
+
+        if (!this.overrideFile || !fs.existsSync(this.overrideFile)) {
+            return text;
+        }
+
+        const source = applyMergePatch(this.parse(text, this.file), this.parse(this.readFile(this.overrideFile), this.overrideFile));
+        return `${JSON.stringify(source, null, 4)}\n`;
+    }
+
+    /**
+     * Read a file as text
+     * @param {string} file - Path
+     * @returns {string} - File contents
+     */
+    readFile(file) {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read restaurant data from ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse file contents
+     * @param {string} text - File contents
+     * @param {string} file - Path for the error message
+     * @returns {Object} - Parsed file
+     */
+    parse(text, file = this.file) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not read restaurant data from ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Watch the file and its override and reload when either changes
+     * The directories are watched because editors often replace the file instead of writing to it
+     * @returns {RestaurantDataLoader} - The loader, for chaining
+     */
+    watch() {
+        if (this.watchers.length > 0) return this;
+
+        const files = [this.file, this.overrideFile].filter(Boolean);
+
+        files.forEach(file => {
+            const fileName = path.basename(file);
+
+            // The override directory is only made by the first save
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+
+            this.watchers.push(fs.watch(path.dirname(file), (eventType, changed) => {
+                if (changed && changed !== fileName) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY_MS);
+            }));
+        });
+
+        debug(`Watching ${files.join(' and ')} for changes`);
+        return this;
+    }
+
+    /**
+     * Stop watching the file
+     */
+    close() {
+        clearTimeout(this.reloadTimer);
+
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
+
+module.exports = {
+    RestaurantDataLoader,
+    readRestaurantData,
+    prepareRestaurantData,
+    applyMergePatch,
+    createMergePatch,
+    createBrowserScript
+};
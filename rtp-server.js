@@ -4,7 +4,21 @@ const dgram = require('dgram');
 const EventEmitter = require('events');
 const debug = require('debug')('rtp-server');
 
+// Queued audio goes out in packets of this length, paced in real time
+const FRAME_MS = 20;
+
+/**
+ * Milliseconds on a monotonic clock, wall clock changes do not move it
+ * @returns {number}
+ */
+function monotonicNow() {
+    return Number(process.hrtime.bigint()) / 1e6;
+}
+
 class RtpServer extends EventEmitter {
+    /**
+     * @param {Object} options - { port, host, payloadType, sampleRate, channels, now: monotonic clock in ms, for tests }
+     */
     constructor(options = {}) {
         super();
         
@@ -21,6 +35,15 @@ class RtpServer extends EventEmitter {
         this.isRunning = false;
         this.clients = new Map(); // remoteAddress:remotePort -> {timestamp, packets}
         
+        // Audio waiting to be sent: [{ frame, target }], one G.711 byte per sample
+        this.sendQueue = [];
+        this.sendTimer = null;
+        
+        // When the next frame is due on the monotonic clock, null while no audio is playing.
+        // Frames are scheduled against it, a late timer catches up instead of stretching the audio
+        this.now = options.now || monotonicNow;
+        this.nextFrameTime = null;
+        
         // Stats
         this.stats = {
             packetsReceived: 0,
@@ -90,6 +113,8 @@ class RtpServer extends EventEmitter {
             this.statsInterval = null;
         }
         
+        this.clearSendQueue();
+        
         if (this.socket) {
             this.socket.close();
             this.socket = null;
@@ -226,6 +251,76 @@ class RtpServer extends EventEmitter {
         return true;
     }
     
+    /**
+     * Queue audio for a client, it is sent one frame every 20ms so what the caller has not heard yet can be dropped
+     * @param {Buffer} audioData - Raw audio data
+     * @param {Object} target - Target client (address, port)
+     */
+    queueAudioData(audioData, target) {
+        const frameSize = this.options.sampleRate * FRAME_MS / 1000;
+        
+        // Audio after a pause starts now, audio that follows on from queued or just sent frames keeps their pace
+        if (this.sendQueue.length === 0 && (this.nextFrameTime === null || this.nextFrameTime < this.now())) {
+            this.nextFrameTime = this.now();
+        }
+        
+        for (let offset = 0; offset < audioData.length; offset += frameSize) {
+            this.sendQueue.push({ frame: audioData.subarray(offset, offset + frameSize), target });
+        }
+        
+        this.scheduleSend();
+    }
+    
+    /**
+     * Wait for the next frame to be due, unless a wait is already on or nothing is queued
+     */
+    scheduleSend() {
+        if (this.sendTimer || this.sendQueue.length === 0) {
+            return;
+        }
+        
+        const delay = Math.max(0, this.nextFrameTime - this.now());
+        this.sendTimer = setTimeout(() => this.sendDueFrames(), delay);
+    }
+    
+    /**
+     * Send every frame whose time has come, more than one when the timer fired late
+     */
+    sendDueFrames() {
+        this.sendTimer = null;
+        const now = this.now();
+        
+        while (this.sendQueue.length > 0 && this.nextFrameTime <= now) {
+            const next = this.sendQueue.shift();
+            this.sendAudioData(next.frame, next.target);
+            this.nextFrameTime += FRAME_MS;
+        }
+        
+        this.scheduleSend();
+    }
+    
+    /**
+     * Drop the queued audio, e.g. when the caller talks over the agent
+     * @returns {number} - Bytes dropped
+     */
+    clearSendQueue() {
+        const dropped = this.sendQueue.reduce((bytes, { frame }) => bytes + frame.length, 0);
+        
+        this.sendQueue = [];
+        this.nextFrameTime = null;
+        
+        if (this.sendTimer) {
+            clearTimeout(this.sendTimer);
+            this.sendTimer = null;
+        }
+        
+        if (dropped > 0) {
+            debug(`Dropped ${dropped} bytes of queued audio`);
+        }
+        
+        return dropped;
+    }
+    
     /**
      * Report server statistics
      */
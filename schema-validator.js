@@ -0,0 +1,168 @@
+// schema-validator.js - Validates data against a JSON Schema (draft-07 subset)
+// Supports the keywords used by schemas/: type, enum, required, properties, additionalProperties,
+// items, minItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum and local $ref
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} - null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema type, integers also count as numbers
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Schema type or types
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    const types = Array.isArray(type) ? type : [type];
+
+    return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Build a readable path, e.g. menu.pizzas[2].price
+ * @param {string} base - Path so far
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Extended path
+ */
+function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Resolve a local reference such as "#/definitions/price"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} - Referenced schema
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local schema references are supported, got "${ref}"`);
+    }
+
+    const schema = ref.substring(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+
+    if (!schema) {
+        throw new Error(`Schema reference "${ref}" does not exist`);
+    }
+
+    return schema;
+}
+
+/**
+ * Validate a value and collect every error
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema for the value
+ * @param {Object} root - Root schema, for $ref
+ * @param {string} at - Path of the value
+ * @param {Array<Object>} errors - Collected { path, message }
+ */
+function validateValue(value, schema, root, at, errors) {
+    if (schema.$ref) {
+        return validateValue(value, resolveRef(root, schema.$ref), root, at, errors);
+    }
+
+    const path = at || '(root)';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ path, message: `expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `${JSON.stringify(value)} does not match the expected format ${schema.description || schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum}, got ${value}` });
+        }
+
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}, got ${value}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, root, joinPath(at, index), errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(at, key), message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (schema.properties && schema.properties[key]) {
+                validateValue(child, schema.properties[key], root, joinPath(at, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(at, key), message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(child, schema.additionalProperties, root, joinPath(at, key), errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Data to validate
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - { valid, errors: [{ path, message }] }
+ */
+function validate(data, schema) {
+    const errors = [];
+    validateValue(data, schema, schema, '', errors);
+
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Format validation errors one per line
+ * @param {Array<Object>} errors - Errors from validate
+ * @returns {string} - e.g. "menu.pizzas[2].price: expected number, got string"
+ */
+function formatErrors(errors) {
+    return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+    validate,
+    formatErrors
+};
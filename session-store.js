@@ -0,0 +1,132 @@
+// session-store.js - Keeps the sessions of disconnected clients for a grace period so they can resume
+// Each connection gets a resume token in its connected status. When the client drops, the session's cart,
+// customer details and conversation history are parked under that token until a client resumes or the grace period ends
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[SESSIONS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[SESSIONS] ${message}`);
+        }
+    }
+}
+
+// How long a disconnected session waits for its client
+const DEFAULT_GRACE_MS = 120000;
+
+// Conversation messages kept to re-prime the agent, the oldest are dropped first
+const MAX_HISTORY_MESSAGES = 50;
+
+class SessionStore extends EventEmitter {
+    /**
+     * @param {Object} options - { graceMs: how long a suspended session is kept }
+     */
+    constructor(options = {}) {
+        super();
+        this.graceMs = options.graceMs !== undefined ? options.graceMs : DEFAULT_GRACE_MS;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Create a token for a new connection
+     * @returns {string} - Token, hard to guess
+     */
+    createToken() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+
+    /**
+     * Park the session of a client that disconnected
+     * @param {string} token - Resume token of the connection
+     * @param {Object} state - What the server needs to continue the session
+     */
+    suspend(token, state) {
+        this.discard(token);
+
+        const timer = setTimeout(() => {
+            this.sessions.delete(token);
+            debug(`Suspended session expired after ${this.graceMs}ms`);
+            this.emit('expired', state);
+        }, this.graceMs);
+
+        // Waiting sessions do not keep the process alive
+        timer.unref();
+
+        this.sessions.set(token, { state: state, timer: timer });
+        debug(`Session suspended, ${this.sessions.size} waiting`);
+    }
+
+    /**
+     * Take a suspended session back, a token can only be used once
+     * @param {string} token - Resume token from the client
+     * @returns {Object|null} - State passed to suspend, null for an unknown or expired token
+     */
+    resume(token) {
+        const entry = this.sessions.get(token);
+
+        if (!entry) return null;
+
+        clearTimeout(entry.timer);
+        this.sessions.delete(token);
+        debug('Session resumed');
+
+        return entry.state;
+    }
+
+    /**
+     * Forget a suspended session
+     * @param {string} token - Resume token
+     */
+    discard(token) {
+        const entry = this.sessions.get(token);
+
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.sessions.delete(token);
+        }
+    }
+
+    /**
+     * Number of sessions waiting for their client
+     * @returns {number}
+     */
+    get size() {
+        return this.sessions.size;
+    }
+}
+
+/**
+ * Record a ConversationText message in a session's history
+ * @param {Array<Object>} history - { role, content } messages, oldest first
+ * @param {Object} message - ConversationText from the agent
+ * @returns {Array<Object>} - The history
+ */
+function addToHistory(history, message) {
+    if (!message || !message.role || !message.content) return history;
+
+    history.push({ role: message.role, content: message.content });
+
+    if (history.length > MAX_HISTORY_MESSAGES) {
+        history.splice(0, history.length - MAX_HISTORY_MESSAGES);
+    }
+
+    return history;
+}
+
+const graceMs = parseInt(process.env.SESSION_RESUME_GRACE_MS || '', 10);
+
+// Shared by the servers
+const sessionStore = new SessionStore({ graceMs: Number.isNaN(graceMs) ? DEFAULT_GRACE_MS : graceMs });
+
+module.exports = {
+    SessionStore,
+    sessionStore,
+    addToHistory,
+    MAX_HISTORY_MESSAGES
+};
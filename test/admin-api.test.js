@@ -0,0 +1,163 @@
+// admin-api.test.js - Admin requests need a valid token, changes are recorded under the token's name
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+const { createAdminRouter, parseAdminTokens } = require('../admin-api');
+const { AuditLog } = require('../audit-log');
+const { RestaurantDataLoader } = require('../restaurant-data-loader');
+
+/**
+ * Serve the admin router on a free port
+ * @param {Object} options - createAdminRouter options
+ * @returns {Promise<Object>} - { request(method, pathname, { token, body }), close() }
+ */
+function startAdminApi(options) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', createAdminRouter(options));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve({
+            request: (method, pathname, { token, body } = {}) => fetch(`http://localhost:${server.address().port}/api/admin${pathname}`, {
+                method: method,
+                headers: {
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...(body ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined
+            }),
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Profile registry with one profile whose data file lives in memory
+ * @returns {Object} - { profiles, saved: data files written so far }
+ */
+function createProfiles() {
+    let source = { delivery: { fee: 3, minimum: 20 } };
+    const saved = [];
+    const profile = {
+        id: 'pizza',
+        name: 'Pixel Pizzeria',
+        loader: {
+            getSource: () => JSON.parse(JSON.stringify(source)),
+            save: (data) => {
+                source = data;
+                saved.push(data);
+            }
+        }
+    };
+
+    return {
+        saved: saved,
+        profiles: { list: () => [profile], get: id => (id === profile.id ? profile : null) }
+    };
+}
+
+test('parseAdminTokens reads named and unnamed tokens', () => {
+    assert.deepStrictEqual(parseAdminTokens(' alice:s3cret, t0ken ,bob:,'), [
+        { name: 'alice', token: 's3cret' },
+        { name: 'admin', token: 't0ken' }
+    ]);
+    assert.deepStrictEqual(parseAdminTokens(undefined), []);
+});
+
+test('the admin API rejects requests without a valid token', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const { profiles, saved } = createProfiles();
+    const auditLog = new AuditLog(path.join(directory, 'admin.jsonl'));
+    const api = await startAdminApi({ profiles: profiles, auditLog: auditLog, tokens: 'alice:s3cret' });
+
+    t.after(async () => {
+        await api.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    for (const token of [undefined, 'wrong', 's3cret-and-more']) {
+        const response = await api.request('GET', '/profiles', { token: token });
+
+        assert.strictEqual(response.status, 401, `token ${token}`);
+        assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer realm="admin"');
+        assert.deepStrictEqual(await response.json(), { error: 'A valid admin token is required' });
+    }
+
+    // A rejected change leaves the data and the audit log alone
+    const rejected = await api.request('PATCH', '/profiles/pizza/delivery', { token: 'wrong', body: { fee: 0 } });
+    assert.strictEqual(rejected.status, 401);
+    assert.strictEqual(saved.length, 0);
+    assert.deepStrictEqual(auditLog.list({}), []);
+
+    const listed = await api.request('GET', '/profiles', { token: 's3cret' });
+    assert.strictEqual(listed.status, 200);
+    assert.deepStrictEqual(await listed.json(), { profiles: [{ id: 'pizza', name: 'Pixel Pizzeria' }] });
+
+    const changed = await api.request('PATCH', '/profiles/pizza/delivery', { token: 's3cret', body: { fee: 0 } });
+    assert.strictEqual(changed.status, 200);
+    assert.deepStrictEqual(saved, [{ delivery: { fee: 0, minimum: 20 } }]);
+    assert.deepStrictEqual(auditLog.list({}).map(entry => [entry.actor, entry.action, entry.target]), [['alice', 'update', 'delivery']]);
+});
+
+test('the admin API is disabled without tokens', async (t) => {
+    const api = await startAdminApi({ profiles: createProfiles().profiles, tokens: '' });
+    t.after(() => api.close());
+
+    const response = await api.request('GET', '/profiles', { token: 'anything' });
+
+    assert.strictEqual(response.status, 503);
+    assert.deepStrictEqual(await response.json(), { error: 'The admin API is disabled, set ADMIN_API_TOKENS to enable it' });
+});
+
+test('admin changes are saved over the tracked data file, not into it', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const tracked = path.join(directory, 'menus', 'pixel-pizzeria.json');
+    const override = path.join(directory, 'data', 'menus', 'pixel-pizzeria.json');
+
+    fs.mkdirSync(path.dirname(tracked));
+    fs.copyFileSync(path.join(__dirname, '..', 'menus', 'pixel-pizzeria.json'), tracked);
+
+    const trackedText = fs.readFileSync(tracked, 'utf8');
+    const loader = new RestaurantDataLoader(tracked, undefined, override);
+    loader.load();
+
+    const profile = { id: 'pizza', name: 'Pixel Pizzeria', loader: loader };
+    const api = await startAdminApi({
+        profiles: { list: () => [profile], get: id => (id === profile.id ? profile : null) },
+        auditLog: new AuditLog(path.join(directory, 'admin.jsonl')),
+        tokens: 'alice:s3cret'
+    });
+
+    t.after(async () => {
+        await api.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const pizza = { id: 'p99', name: 'Truffle', price: 19.99, description: 'Mushrooms and truffle oil' };
+    assert.strictEqual((await api.request('POST', '/profiles/pizza/pizzas', { token: 's3cret', body: pizza })).status, 201);
+    assert.strictEqual((await api.request('PATCH', '/profiles/pizza/delivery', { token: 's3cret', body: { fee: 0 } })).status, 200);
+
+    // The tracked file is untouched, the override only has what changed
+    assert.strictEqual(fs.readFileSync(tracked, 'utf8'), trackedText);
+
+    const patch = JSON.parse(fs.readFileSync(override, 'utf8'));
+    assert.deepStrictEqual(Object.keys(patch), ['menu', 'delivery']);
+    assert.deepStrictEqual(Object.keys(patch.menu), ['pizzas']);
+    assert.deepStrictEqual(patch.menu.pizzas.at(-1), pizza);
+    assert.deepStrictEqual(patch.delivery, { fee: 0 });
+
+    // A restart sees the changes, and new defaults in the tracked file still come through where nobody changed them
+    const defaults = JSON.parse(trackedText);
+    defaults.delivery.minimum = 25;
+    defaults.name = 'Pixel Pizzeria Downtown';
+    fs.writeFileSync(tracked, JSON.stringify(defaults, null, 4));
+
+    const restarted = new RestaurantDataLoader(tracked, undefined, override).load();
+    assert.strictEqual(restarted.name, 'Pixel Pizzeria Downtown');
+    assert.deepStrictEqual([restarted.delivery.fee, restarted.delivery.minimum], [0, 25]);
+    assert.strictEqual(restarted.allMenuItems.find(item => item.id === 'p99').name, 'Truffle');
+});
@@ -0,0 +1,100 @@
+// agent-reconnect.test.js - The server reconnects to the agent when the upstream socket drops mid-call
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Metrics } = require('../metrics');
+const { validateEvent } = require('../client-protocol');
+const { MockAgentServer } = require('../mock-agent-server');
+const { startBackend, connectClient, withTimeout, STAFF_TOKEN } = require('./helpers/conversation-runner');
+
+test('Metrics counts per name and labels', () => {
+    const metrics = new Metrics();
+
+    metrics.increment('agent_reconnects_total', { profile: 'pizza', outcome: 'succeeded' });
+    metrics.increment('agent_reconnects_total', { outcome: 'succeeded', profile: 'pizza' });
+    metrics.increment('agent_reconnects_total', { profile: 'pizza', outcome: 'failed' });
+
+    assert.strictEqual(metrics.get('agent_reconnects_total', { profile: 'pizza', outcome: 'succeeded' }), 2);
+    assert.strictEqual(metrics.get('agent_reconnects_total', { profile: 'sales', outcome: 'succeeded' }), 0);
+    assert.strictEqual(metrics.getSnapshot().counters.length, 2);
+});
+
+test('the server reconnects to the agent and continues the order', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const mock = new MockAgentServer({
+        port: 0,
+        script: [
+            { user: 'Two iced teas please' },
+            { function: 'add_to_cart', input: { item: 'Iced Tea', quantity: 2 } },
+            { agent: 'Two iced teas. Anything else?' }
+        ]
+    });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const client = await connectClient(backend.port, 'web');
+
+    t.after(async () => {
+        client.close();
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const typeUserSteps = agent => agent.on('listening', step => client.send({ type: 'user_text', text: step.user }));
+    const status = name => withTimeout(client.waitFor(message => message.status === name), `the ${name} status`);
+    const reply = text => withTimeout(
+        client.waitFor(message => message.type === 'transcript' && message.data.content === text),
+        `the reply "${text}"`
+    );
+
+    let nextSession = mock.nextSession();
+    client.send({ type: 'init', protocolVersion: 2, profile: 'pizza', mode: 'text' });
+    const firstAgent = await withTimeout(nextSession, 'the server to connect to the agent');
+    typeUserSteps(firstAgent);
+    await reply('Two iced teas. Anything else?');
+
+    // The agent service drops the call, the next connection picks it up
+    mock.script = [
+        { agent: 'Sorry about that, where were we?' },
+        { user: "What's in my cart?" },
+        { function: 'get_cart_contents', input: {} },
+        { agent: 'You have two iced teas.' }
+    ];
+    nextSession = mock.nextSession();
+    firstAgent.drop();
+
+    await status('reconnecting');
+    const secondAgent = await withTimeout(nextSession, 'the server to reconnect to the agent');
+    typeUserSteps(secondAgent);
+    await status('reconnected');
+
+    // Same settings, with the conversation and the cart so far
+    assert.deepStrictEqual(secondAgent.settings.agent.context.messages, [
+        { type: 'History', role: 'assistant', content: "Hello! Welcome to Pixel Pizzeria. I'm your virtual assistant. How can I help you today?" },
+        { type: 'History', role: 'user', content: 'Two iced teas please' },
+        { type: 'History', role: 'assistant', content: 'Two iced teas. Anything else?' }
+    ]);
+    assert.match(secondAgent.settings.agent.think.prompt, /The order so far, continue from it: The cart has 2 Iced Tea/);
+    assert.deepStrictEqual(secondAgent.settings.agent.think.functions, firstAgent.settings.agent.think.functions);
+    assert.strictEqual(secondAgent.greeting, null, 'a continued conversation is not greeted again');
+
+    await reply('You have two iced teas.');
+
+    const cart = client.messages.filter(message => message.type === 'actions').pop().actions[0].cart;
+    assert.strictEqual(cart.itemCount, 2);
+    assert.ok(!client.messages.some(message => message.status === 'closed'), 'the client is not told to refresh');
+    assert.strictEqual(client.messages.filter(message => message.status === 'ready').length, 1);
+
+    const response = await fetch(`http://localhost:${backend.port}/api/metrics`, {
+        headers: { Authorization: `Bearer ${STAFF_TOKEN}` }
+    });
+    const counters = (await response.json()).metrics.counters;
+    assert.deepStrictEqual(counters, [
+        { name: 'agent_reconnect_attempts_total', labels: { profile: 'pizza' }, value: 1 },
+        { name: 'agent_reconnects_total', labels: { profile: 'pizza', outcome: 'succeeded' }, value: 1 }
+    ]);
+
+    client.messages.forEach(message => assert.ok(validateEvent(message, 2).valid, `${message.type} should match version 2`));
+});
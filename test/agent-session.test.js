@@ -0,0 +1,180 @@
+// agent-session.test.js - AgentSession lifecycle against the mock Deepgram agent
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AgentEvents } = require('@deepgram/sdk');
+const { AgentSession, STATES } = require('../agent-session');
+const { createDeepgramClient } = require('../deepgram-config');
+const { MockAgentServer } = require('../mock-agent-server');
+const { withTimeout } = require('./helpers/conversation-runner');
+
+// Smallest settings the agent API accepts
+const SETTINGS = {
+    type: 'Settings',
+    audio: { input: { encoding: 'linear16', sample_rate: 16000 } },
+    agent: { think: { provider: { type: 'open_ai', model: 'gpt-4o-mini' } } }
+};
+
+/**
+ * Start a session that configures the agent with the smallest settings
+ * @param {string} agentUrl - URL of the mock agent
+ * @param {Object} reconnect - Reconnect options, no reconnects by default
+ * @returns {Object} - { session, states: every state it went through, configured: how often configure ran }
+ */
+function startSession(agentUrl, reconnect = { maxAttempts: 0 }) {
+    const result = { session: null, states: [], configured: 0 };
+
+    result.session = new AgentSession({
+        deepgram: createDeepgramClient('test', agentUrl),
+        id: 'test',
+        reconnect: reconnect,
+        configure: async (current) => {
+            result.configured++;
+            current.send(JSON.stringify(SETTINGS));
+        }
+    });
+
+    result.session.on('state', ({ state }) => result.states.push(state));
+    result.session.connect();
+
+    return result;
+}
+
+test('AgentSession', async (t) => {
+    const mock = new MockAgentServer({ port: 0, script: [{ agent: 'Hello', wait: false }], greeting: false });
+    const agentUrl = await mock.start();
+
+    t.after(() => mock.stop());
+
+    await t.test('goes through its states and closes the upstream socket once', async () => {
+        const upstream = mock.nextSession();
+        const { session, states } = startSession(agentUrl);
+        const agent = await withTimeout(upstream, 'the agent connection');
+
+        await withTimeout(new Promise(resolve => session.on(AgentEvents.AgentAudioDone, resolve)), 'the greeting');
+        assert.deepStrictEqual(states, [STATES.CONNECTING, STATES.CONFIGURING, STATES.READY, STATES.SPEAKING, STATES.READY]);
+
+        const agentClosed = new Promise(resolve => agent.once('close', resolve));
+        const closed = [];
+        session.on(STATES.CLOSED, reason => closed.push(reason));
+
+        assert.strictEqual(session.close('done'), true);
+        assert.strictEqual(session.close('again'), false);
+        assert.deepStrictEqual(closed, ['done']);
+        assert.strictEqual(session.send('{}'), false);
+
+        await withTimeout(agentClosed, 'the agent socket to close');
+    });
+
+    await t.test('reports an upstream close', async () => {
+        const upstream = mock.nextSession();
+        const { session } = startSession(agentUrl);
+        const agent = await withTimeout(upstream, 'the agent connection');
+
+        await withTimeout(new Promise(resolve => session.on(STATES.READY, resolve)), 'the session to be ready');
+
+        const closed = new Promise(resolve => session.on(STATES.CLOSED, resolve));
+        agent.drop();
+
+        assert.strictEqual(await withTimeout(closed, 'the session to close'), 'upstream closed');
+        assert.strictEqual(session.isReady(), false);
+    });
+
+    await t.test('reconnects after an upstream close and configures the new socket', async () => {
+        const upstream = mock.nextSession();
+        const started = startSession(agentUrl, { maxAttempts: 2, baseDelayMs: 10 });
+        const { session, states } = started;
+        const agent = await withTimeout(upstream, 'the agent connection');
+
+        await withTimeout(new Promise(resolve => session.on(STATES.READY, resolve)), 'the session to be ready');
+        assert.strictEqual(started.configured, 1);
+
+        const reconnecting = [];
+        session.on('reconnect_attempt', event => reconnecting.push(event));
+        const reconnected = new Promise(resolve => session.on('reconnected', resolve));
+        const nextUpstream = mock.nextSession();
+        agent.drop();
+
+        assert.deepStrictEqual(await withTimeout(reconnected, 'the session to reconnect'), { attempts: 1 });
+        assert.deepStrictEqual(reconnecting, [{ attempt: 1, delayMs: 10 }]);
+        assert.deepStrictEqual(states.slice(-4), [STATES.RECONNECTING, STATES.CONNECTING, STATES.CONFIGURING, STATES.READY]);
+        assert.strictEqual(started.configured, 2);
+        assert.strictEqual(session.isReconnecting(), false);
+
+        const secondAgent = await nextUpstream;
+        if (!secondAgent.settings) {
+            await withTimeout(secondAgent.waitFor('message', message => message.type === 'Settings'), 'the settings on the new socket');
+        }
+
+        session.close('done');
+    });
+
+    await t.test('closes after the reconnect attempts are used up', async () => {
+        const failing = new MockAgentServer({ port: 0, script: [] });
+        const upstream = failing.nextSession();
+        const { session, states } = startSession(await failing.start(), { maxAttempts: 2, baseDelayMs: 10 });
+        await withTimeout(upstream, 'the agent connection');
+        await withTimeout(new Promise(resolve => session.on(STATES.READY, resolve)), 'the session to be ready');
+
+        const failed = new Promise(resolve => session.on('reconnect_failed', resolve));
+        const closed = new Promise(resolve => session.on(STATES.CLOSED, resolve));
+        const errors = [];
+        session.on('error', error => errors.push(error));
+
+        // Nothing listens anymore, every attempt is refused
+        await failing.stop();
+
+        assert.deepStrictEqual(await withTimeout(failed, 'the reconnects to fail'), { attempts: 2 });
+        assert.strictEqual(await withTimeout(closed, 'the session to close'), 'upstream closed');
+        assert.strictEqual(states.filter(state => state === STATES.RECONNECTING).length, 2);
+        assert.deepStrictEqual(errors, [], 'failed attempts are not reported as agent errors');
+    });
+
+    await t.test('closes a socket that opens after the session was closed', async () => {
+        const upstream = mock.nextSession();
+        const { session, states } = startSession(agentUrl);
+
+        session.close('closed while connecting');
+        const agent = await withTimeout(upstream, 'the agent connection');
+
+        if (!agent.closed) {
+            await withTimeout(new Promise(resolve => agent.once('close', resolve)), 'the late socket to close');
+        }
+        assert.deepStrictEqual(states, [STATES.CONNECTING, STATES.TERMINATING, STATES.CLOSED]);
+    });
+
+    await t.test('sends typed and injected messages the agent accepts', async () => {
+        const typing = new MockAgentServer({ port: 0, script: [{ user: 'A pepperoni pizza' }] });
+        t.after(() => typing.stop());
+
+        const upstream = typing.nextSession();
+        const { session } = startSession(await typing.start());
+        const agent = await withTimeout(upstream, 'the agent connection');
+        const rejected = [];
+        agent.on('rejected', ({ message }) => rejected.push(message.type));
+
+        await withTimeout(new Promise(resolve => session.on(STATES.READY, resolve)), 'the session to be ready');
+
+        const listening = agent.waitFor('listening');
+        assert.strictEqual(session.injectAgentMessage('Welcome to Pixel Pizzeria!'), true);
+        await withTimeout(listening, 'the greeting');
+        assert.strictEqual(agent.greeting, 'Welcome to Pixel Pizzeria!');
+
+        assert.strictEqual(session.injectUserMessage('A pepperoni pizza please'), true);
+        assert.strictEqual(session.updatePrompt('You take pizza orders.'), true);
+        await withTimeout(agent.waitFor('finished'), 'the typed turn');
+        await withTimeout(new Promise(resolve => session.on(AgentEvents.PromptUpdated, resolve)), 'the prompt update');
+
+        assert.deepStrictEqual(agent.typedMessages, ['A pepperoni pizza please']);
+        assert.deepStrictEqual(rejected, []);
+        session.close('done');
+    });
+
+    await t.test('rejects transitions the state machine does not have', () => {
+        const session = new AgentSession({ deepgram: null, configure: async () => {} });
+        session.setState(STATES.CONNECTING);
+
+        assert.throws(() => session.setState(STATES.SPEAKING), /cannot go from connecting to speaking/);
+        assert.strictEqual(session.moveTo(STATES.SPEAKING), false);
+    });
+});
@@ -0,0 +1,53 @@
+// agent-settings.test.js - Session settings and the Settings message they turn into
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { resolveSettings } = require('../agent-settings');
+const { configureDeepgramAgent } = require('../deepgram-config');
+const { ToolRegistry } = require('../tool-registry');
+const { checkMessage } = require('../mock-agent-server');
+
+const data = require(path.join(__dirname, '..', 'menus', 'pixel-pizzeria.json'));
+
+/**
+ * Configure a stand-in agent connection and return the Settings message it got
+ * @param {Object} settings - Session settings
+ * @returns {Promise<Object>} - Settings message
+ */
+async function configure(settings) {
+    let sent = null;
+    const connection = { configure: (options) => { sent = { type: 'Settings', ...options }; } };
+
+    await configureDeepgramAgent(connection, data, { registry: new ToolRegistry(), prompt: 'You take pizza orders.', settings: settings });
+    return sent;
+}
+
+test('temperature goes to the think provider', async () => {
+    const settings = resolveSettings({ listenModel: 'nova-2' }, { think: { temperature: 0.3 } });
+    const message = await configure(settings);
+
+    assert.deepStrictEqual(message.agent.think.provider, { type: 'open_ai', model: 'gpt-4o', temperature: 0.3 });
+    assert.deepStrictEqual(message.agent.listen.provider, { type: 'deepgram', model: 'nova-2' });
+    assert.deepStrictEqual(checkMessage(message), []);
+});
+
+test('endpointing is the end of turn timeout of a Flux listen model', async () => {
+    const settings = resolveSettings({ listenModel: 'nova-2' }, { listenModel: 'flux-general-en', endpointing: 800 });
+    const message = await configure(settings);
+
+    assert.deepStrictEqual(message.agent.listen.provider, { type: 'deepgram', version: 'v2', model: 'flux-general-en', eot_timeout_ms: 800 });
+    assert.deepStrictEqual(checkMessage(message), []);
+});
+
+test('endpointing without a Flux listen model is rejected', () => {
+    assert.throws(() => resolveSettings({ listenModel: 'nova-2' }, { endpointing: 800 }), (error) => {
+        assert.deepStrictEqual(error.validationErrors, [
+            { path: 'endpointing', message: 'needs a Flux listen model such as flux-general-en, nova-2 ends turns on its own' }
+        ]);
+        return true;
+    });
+
+    // The agent API only has a turn timeout from 500 ms up
+    assert.throws(() => resolveSettings({ listenModel: 'flux-general-en' }, { endpointing: 300 }), /endpointing: must be at least 500, got 300/);
+});
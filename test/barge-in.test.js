@@ -0,0 +1,114 @@
+// barge-in.test.js - The caller talks over the agent: the rest of the reply is dropped and the clients flush theirs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { AgentPlayback } = require('../agent-playback');
+const { validateEvent } = require('../client-protocol');
+const { MockAgentServer } = require('../mock-agent-server');
+const { startBackend, connectClient, withTimeout, STAFF_TOKEN } = require('./helpers/conversation-runner');
+
+// 1 second of 24 kHz linear16
+const ONE_SECOND = Buffer.alloc(48000);
+
+test('AgentPlayback', async (t) => {
+    let now = 0;
+    const createPlayback = () => new AgentPlayback({ sampleRate: 24000, now: () => now });
+
+    await t.test('tells how much of an interrupted reply was heard', () => {
+        const playback = createPlayback();
+        now = 1000;
+
+        playback.startReply();
+        playback.setText('One large pepperoni pizza coming up');
+        assert.strictEqual(playback.accept(ONE_SECOND), true);
+        assert.strictEqual(playback.accept(ONE_SECOND), true);
+
+        now = 2000;
+        assert.deepStrictEqual(playback.interrupt(), {
+            sentMs: 2000,
+            heardMs: 1000,
+            text: 'One large pepperoni pizza coming up',
+            heardText: 'One large pepperoni'
+        });
+
+        // The rest of the reply is dropped, the caller interrupts it once
+        assert.strictEqual(playback.accept(ONE_SECOND), false);
+        assert.strictEqual(playback.interrupt(), null);
+
+        playback.startReply();
+        assert.strictEqual(playback.accept(ONE_SECOND), true);
+    });
+
+    await t.test('does not interrupt a reply the caller heard to the end', () => {
+        const playback = createPlayback();
+        now = 0;
+
+        assert.strictEqual(playback.interrupt(), null);
+
+        playback.startReply();
+        playback.accept(ONE_SECOND);
+        playback.finishReply();
+
+        now = 1500;
+        assert.strictEqual(playback.interrupt(), null);
+        assert.strictEqual(playback.accept(ONE_SECOND), true);
+    });
+});
+
+test('the server drops the rest of an interrupted reply', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const mock = new MockAgentServer({
+        port: 0,
+        script: [
+            // 8 words: 10 chunks of audio, the user interrupts after 5
+            { agent: 'We have pepperoni, margherita and veggie pizzas today.', interruptedBy: 'A large pepperoni please' },
+            // 3 words: 4 chunks
+            { agent: 'Sure, a large.' }
+        ]
+    });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const client = await connectClient(backend.port, 'web');
+
+    t.after(async () => {
+        client.close();
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const nextSession = mock.nextSession();
+    // 15 words of greeting: 19 chunks
+    client.send({ type: 'init', protocolVersion: 2, profile: 'pizza' });
+    const agent = await withTimeout(nextSession, 'the server to connect to the agent');
+
+    if (!agent.finished) {
+        await withTimeout(agent.waitFor('finished'), 'the agent to finish its script');
+    }
+    const countAudioComplete = () => client.messages.filter(message => message.type === 'audioComplete').length;
+    await withTimeout(client.waitFor(() => countAudioComplete() === 2), 'the second reply');
+
+    // 24 kHz linear16 chunks of 200 ms
+    const chunkBytes = 9600;
+    assert.strictEqual(client.audioBytes(), (19 + 5 + 4) * chunkBytes);
+    assert.ok(client.messages.some(message => message.type === 'userStartedSpeaking'), 'the client is told to flush its audio');
+
+    const response = await fetch(`http://localhost:${backend.port}/api/metrics`, {
+        headers: { Authorization: `Bearer ${STAFF_TOKEN}` }
+    });
+    const counters = (await response.json()).metrics.counters;
+
+    // The counters are for staff only
+    assert.strictEqual((await fetch(`http://localhost:${backend.port}/api/metrics`)).status, 401);
+
+    const counter = name => counters.find(entry => entry.name === name && entry.labels.profile === 'pizza');
+
+    assert.strictEqual(counter('agent_barge_ins_total').value, 1);
+    assert.strictEqual(counter('agent_barge_in_sent_ms_total').value, 1000);
+    assert.ok(counter('agent_barge_in_heard_ms_total').value < 1000);
+    assert.match(backend.log(), /Caller interrupted the agent after \d+ms of 1000ms/);
+
+    client.messages.forEach(message => assert.ok(validateEvent(message, 2).valid, `${message.type} should match version 2`));
+});
@@ -0,0 +1,59 @@
+// business-hours.test.js - Open and closed in the restaurant's timezone, hours past midnight and holidays
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getBusinessStatus, toMinutes } = require('../business-hours');
+
+const data = {
+    timezone: 'UTC',
+    hours: {
+        Monday: { open: '11:00', close: '22:00' },
+        Friday: { open: '18:00', close: '02:00' },
+        Saturday: { open: '12:00', close: '23:00' }
+    },
+    holidays: [{ date: '12-25', name: 'Christmas', closed: true }]
+};
+
+// 2026-03-02 is a Monday, 2026-03-06 a Friday
+const at = time => new Date(`${time}Z`);
+
+test('toMinutes converts a time of day', () => {
+    assert.strictEqual(toMinutes('00:00'), 0);
+    assert.strictEqual(toMinutes('22:30'), 1350);
+    assert.strictEqual(toMinutes('9'), 540);
+});
+
+test('getBusinessStatus tells when the restaurant closes and opens next', () => {
+    const open = getBusinessStatus(data, at('2026-03-02T12:00'));
+    assert.strictEqual(open.isOpen, true);
+    assert.strictEqual(open.closesAt, '22:00');
+    assert.strictEqual(open.message, 'We are open now and close at 10 PM.');
+
+    const closed = getBusinessStatus(data, at('2026-03-02T22:00'));
+    assert.strictEqual(closed.isOpen, false);
+    assert.strictEqual(closed.nextOpening.weekday, 'Friday');
+    assert.strictEqual(closed.message, 'We are closed right now. We open again on Friday at 6 PM.');
+});
+
+test('getBusinessStatus counts hours past midnight toward the day before', () => {
+    const lateFriday = getBusinessStatus(data, at('2026-03-06T23:30'));
+    assert.strictEqual(lateFriday.isOpen, true);
+    assert.strictEqual(lateFriday.closesAt, '02:00');
+
+    const earlySaturday = getBusinessStatus(data, at('2026-03-07T01:30'));
+    assert.strictEqual(earlySaturday.isOpen, true);
+    assert.strictEqual(earlySaturday.message, 'We are open now and close at 2 AM.');
+
+    const afterClosing = getBusinessStatus(data, at('2026-03-07T02:00'));
+    assert.strictEqual(afterClosing.isOpen, false);
+    assert.strictEqual(afterClosing.message, 'We are closed right now. We open again today at 12 PM.');
+});
+
+test('getBusinessStatus closes for holidays', () => {
+    // Christmas 2026 is a Friday
+    const status = getBusinessStatus(data, at('2026-12-25T19:00'));
+
+    assert.strictEqual(status.isOpen, false);
+    assert.strictEqual(status.today.holiday, 'Christmas');
+    assert.strictEqual(status.message, 'We are closed right now for Christmas. We open again tomorrow at 12 PM.');
+});
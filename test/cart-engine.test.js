@@ -0,0 +1,96 @@
+// cart-engine.test.js - Cart functions of one session, and arguments the agent gets wrong
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const CartEngine = require('../cart-engine');
+const { toolRegistry } = require('../tool-registry');
+const { getLocale } = require('../locales');
+
+const data = require(path.join(__dirname, '..', 'menus', 'pixel-pizzeria.json'));
+
+/**
+ * Stand-in for the function handler of a session, what the cart tools read
+ * @returns {Object} - { cartEngine, restaurantData, locale }
+ */
+function createSession() {
+    return { cartEngine: new CartEngine(data), restaurantData: data, locale: getLocale('en') };
+}
+
+test('CartEngine adds, changes and removes lines', () => {
+    const cart = new CartEngine(data);
+
+    const added = cart.addItem({ item: 'pepperoni', size: 'large', crust: 'deep dish', customizations: ['Mushrooms'] });
+    assert.strictEqual(added.success, true);
+    assert.strictEqual(added.event, 'added');
+    assert.deepStrictEqual(
+        [added.item.name, added.item.quantity, added.item.size, added.item.crust, added.item.customizations],
+        ['Pepperoni', 1, 'large', 'deep dish', ['Mushrooms']]
+    );
+
+    cart.addItem({ item: 'Iced Tea', quantity: 2 });
+    assert.strictEqual(cart.getContents().cart.itemCount, 3);
+
+    const modified = cart.modifyItem({ item: 'iced tea', quantity: 3 });
+    assert.strictEqual(modified.event, 'modified');
+    assert.strictEqual(modified.cart.itemCount, 4);
+
+    // A quantity of 0 removes the line
+    assert.strictEqual(cart.modifyItem({ item: 'Pepperoni', quantity: 0 }).event, 'removed');
+    assert.deepStrictEqual(cart.getContents().cart.items.map(line => line.name), ['Iced Tea']);
+
+    assert.strictEqual(cart.removeItem({ item: 'Pepperoni' }).success, false);
+    assert.strictEqual(cart.clear().itemsRemoved, 1);
+    assert.strictEqual(cart.getContents().cart.itemCount, 0);
+});
+
+test('CartEngine uses the quantity and size said with the item when the agent leaves them out', () => {
+    const cart = new CartEngine(data);
+
+    const cokes = cart.addItem({ item: 'two cokes' });
+    assert.deepStrictEqual([cokes.item.name, cokes.item.quantity, cokes.item.size], ['Soda', 2, null]);
+
+    const pizza = cart.addItem({ item: 'large pepperoni' });
+    assert.deepStrictEqual([pizza.item.name, pizza.item.quantity, pizza.item.size], ['Pepperoni', 1, 'Large']);
+
+    // Arguments win over the words
+    const tea = cart.addItem({ item: 'one iced tea', quantity: 3 });
+    assert.strictEqual(tea.item.quantity, 3);
+
+    // "a pizza" could be any of them
+    const any = cart.addItem({ item: 'a pizza' });
+    assert.strictEqual(any.success, false);
+    assert.strictEqual(any.candidates.length, data.menu.pizzas.length);
+});
+
+test('CartEngine rejects options the menu does not have', () => {
+    const cart = new CartEngine(data);
+
+    assert.strictEqual(cart.addItem({ item: 'Pepperoni', size: 'Jumbo' }).error, 'Jumbo is not an available size');
+    assert.strictEqual(cart.addItem({ item: 'Pepperoni', crust: 'Cauliflower' }).error, 'Cauliflower is not an available crust');
+    assert.strictEqual(cart.addItem({ item: 'Pepperoni', customizations: ['Anchovies'] }).error, 'Anchovies is not available as a topping');
+    assert.strictEqual(cart.addItem({ item: 'Pepperoni', quantity: -1 }).error, '-1 is not a valid quantity');
+    assert.strictEqual(cart.addItem({ item: 'Lobster' }).error, '"Lobster" is not on our menu');
+    assert.strictEqual(cart.getContents().cart.itemCount, 0);
+});
+
+test('arguments that do not match the tool parameters get a spoken failure', async () => {
+    const session = createSession();
+
+    // A string where the schema has a list used to throw a TypeError in the cart engine
+    const result = await toolRegistry.dispatch('add_to_cart', { item: 'Pepperoni', customizations: 'extra cheese' }, session);
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.validationErrors, [{ path: 'customizations', message: 'expected array, got string' }]);
+    assert.strictEqual(result.confirmation,
+        'Sorry, the add_to_cart call had invalid arguments (customizations: expected array, got string), call it again with corrected arguments.');
+    assert.strictEqual(session.cartEngine.getContents().cart.itemCount, 0);
+
+    // Missing, mistyped and unknown values are all named
+    const invalid = await toolRegistry.dispatch('add_to_cart', { quantity: '2', size: 'Jumbo' }, session);
+    assert.deepStrictEqual(invalid.validationErrors.map(error => error.path), ['item', 'quantity', 'size']);
+
+    const added = await toolRegistry.dispatch('add_to_cart', { item: 'Pepperoni', customizations: ['Extra Cheese'] }, session);
+    assert.strictEqual(added.success, true);
+    assert.strictEqual(session.cartEngine.getContents().cart.itemCount, 1);
+});
@@ -0,0 +1,127 @@
+// client-protocol.test.js - Protocol negotiation, command validation and the version 1 compatibility layer
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseCommand, formatEvent, validateEvent, readFrame, ERROR_CODES } = require('../client-protocol');
+const { MockAgentServer } = require('../mock-agent-server');
+const { startBackend, connectClient, withTimeout } = require('./helpers/conversation-runner');
+
+/**
+ * Get the error parseCommand throws
+ * @param {string} text - Command text
+ * @param {number} version - Protocol version of the connection
+ * @returns {Error}
+ */
+function rejectionOf(text, version) {
+    try {
+        parseCommand(text, version);
+    } catch (error) {
+        return error;
+    }
+
+    assert.fail(`${text} should be rejected`);
+}
+
+test('parseCommand', async (t) => {
+    await t.test('negotiates the version in init', () => {
+        assert.strictEqual(parseCommand(JSON.stringify({ type: 'init', protocolVersion: 2, profile: 'pizza' })).protocolVersion, 2);
+        assert.strictEqual(parseCommand(JSON.stringify({ type: 'init', profile: 'pizza' })).protocolVersion, 1);
+
+        const error = rejectionOf(JSON.stringify({ type: 'init', protocolVersion: 7 }));
+        assert.strictEqual(error.code, ERROR_CODES.UNSUPPORTED_VERSION);
+        assert.strictEqual(error.command, 'init');
+    });
+
+    await t.test('rejects what is not a command', () => {
+        assert.strictEqual(rejectionOf('{"type": "ping"').code, ERROR_CODES.INVALID_JSON);
+        assert.strictEqual(rejectionOf('[1, 2]').code, ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(rejectionOf('{"type": "dance"}', 2).code, ERROR_CODES.UNKNOWN_COMMAND);
+        assert.strictEqual(rejectionOf('{"type": "user_text", "text": "hi"}', 1).code, ERROR_CODES.UNKNOWN_COMMAND);
+        assert.strictEqual(rejectionOf(JSON.stringify({ type: 'user_text', text: 'x'.repeat(2001) }), 2).code, ERROR_CODES.INVALID_COMMAND);
+    });
+
+    await t.test('checks version 2 commands strictly', () => {
+        const error = rejectionOf(JSON.stringify({ type: 'action_response', function_call_id: 'call_1', response: {} }), 2);
+
+        assert.strictEqual(error.code, ERROR_CODES.INVALID_COMMAND);
+        assert.deepStrictEqual(error.validationErrors, [{ path: 'response', message: 'is not an allowed property' }]);
+    });
+
+    await t.test('upgrades version 1 commands', () => {
+        const command = parseCommand(JSON.stringify({ type: 'action_response', function_call_id: 'call_1', response: { ok: true }, extra: 1 }), 1);
+
+        assert.deepStrictEqual(command, { type: 'action_response', function_call_id: 'call_1', extra: 1, output: { ok: true } });
+        assert.strictEqual(rejectionOf(JSON.stringify({ type: 'action_response' }), 1).code, ERROR_CODES.INVALID_COMMAND);
+    });
+});
+
+test('formatEvent holds back events version 1 clients do not know', () => {
+    const protocol = { type: 'protocol', version: 2, supportedVersions: [1, 2] };
+    const error = { type: 'error', code: ERROR_CODES.INVALID_SETTINGS, message: 'Invalid session settings', details: [{ path: 'voice', message: 'is wrong' }] };
+
+    assert.strictEqual(formatEvent(protocol, 1), null);
+    assert.strictEqual(formatEvent(protocol, 2), protocol);
+    assert.strictEqual(formatEvent(error, 1), error);
+    assert.strictEqual(validateEvent(error, 1).valid, true);
+});
+
+test('readFrame tells commands from audio', () => {
+    assert.deepStrictEqual(readFrame(Buffer.from('{"type":"ping"}'), true), { text: '{"type":"ping"}' });
+    assert.ok(readFrame(Buffer.from([123, 0, 7, 1]), true).audio);
+    assert.strictEqual(readFrame(Buffer.from('not json'), false).text, 'not json');
+});
+
+test('the server rejects invalid commands with error codes', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const mock = new MockAgentServer({ port: 0, script: [] });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const client = await connectClient(backend.port, 'web');
+
+    t.after(async () => {
+        client.close();
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const nextError = () => {
+        const seen = client.messages.length;
+        return withTimeout(client.waitFor(message => message.type === 'error' && client.messages.indexOf(message) >= seen), 'an error');
+    };
+
+    let error = nextError();
+    client.ws.send('hello');
+    assert.strictEqual((await error).code, ERROR_CODES.INVALID_JSON);
+
+    error = nextError();
+    client.send({ type: 'init', protocolVersion: 3 });
+    assert.deepStrictEqual(await error, {
+        type: 'error',
+        code: ERROR_CODES.UNSUPPORTED_VERSION,
+        message: 'Protocol version 3 is not supported',
+        command: 'init',
+        details: [{ path: 'protocolVersion', message: 'must be one of 1, 2' }]
+    });
+
+    error = nextError();
+    client.send({ type: 'init', protocolVersion: 2, profile: 'pizza', settings: { voice: 'shouty' } });
+    assert.strictEqual((await withTimeout(client.waitFor(message => message.type === 'protocol'), 'the protocol event')).version, 2);
+    assert.strictEqual((await error).code, ERROR_CODES.INVALID_SETTINGS);
+
+    error = nextError();
+    client.send({ type: 'ping', timestamp: 'now' });
+    const invalid = await error;
+    assert.strictEqual(invalid.code, ERROR_CODES.INVALID_COMMAND);
+    assert.strictEqual(invalid.command, 'ping');
+    assert.strictEqual(invalid.details[0].path, 'timestamp');
+
+    // The rejected init left the connection without an agent
+    error = nextError();
+    client.send({ type: 'user_text', text: 'Is anyone there?' });
+    assert.strictEqual((await error).code, ERROR_CODES.AGENT_NOT_READY);
+
+    client.messages.forEach(message => assert.ok(validateEvent(message, 2).valid, `${message.type} should match version 2`));
+});
@@ -0,0 +1,17 @@
+// conversations.test.js - Plays every script in test/conversations against the server and the mock agent
+
+const { test } = require('node:test');
+const { readConversations, runConversation, assertConversation } = require('./helpers/conversation-runner');
+
+readConversations().forEach(conversation => {
+    test(`${conversation.file}: ${conversation.name}`, { timeout: 60000 }, async () => {
+        const result = await runConversation(conversation);
+
+        try {
+            assertConversation(conversation, result);
+        } catch (error) {
+            error.message += `\n--- backend-server.js output ---\n${result.log.slice(-4000)}`;
+            throw error;
+        }
+    });
+});
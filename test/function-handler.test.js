@@ -0,0 +1,54 @@
+// function-handler.test.js - Function calls of a session that has no client connection
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { FunctionHandler } = require('../function-handler');
+const { ToolRegistry, toolRegistry } = require('../tool-registry');
+
+const data = require(path.join(__dirname, '..', 'menus', 'pixel-pizzeria.json'));
+
+/**
+ * Stand-in for the agent connection, records the function call responses
+ * @returns {Object} - { responses, send(message) }
+ */
+function createConnection() {
+    const responses = [];
+
+    return {
+        responses: responses,
+        send: (message) => {
+            const response = JSON.parse(message);
+            responses.push({ ...response, content: JSON.parse(response.content) });
+        }
+    };
+}
+
+test('server tools run without a client, client tools fail', async () => {
+    const registry = new ToolRegistry()
+        .register(toolRegistry.get('add_to_cart'))
+        .register({ name: 'show_menu', description: 'Show the menu on the screen', parameters: { type: 'object', properties: {} } });
+    const handler = new FunctionHandler(null, data, { registry: registry });
+    const connection = createConnection();
+
+    await handler.handleFunctionCallRequest({
+        type: 'FunctionCallRequest',
+        functions: [
+            { id: 'call_1', name: 'add_to_cart', arguments: JSON.stringify({ item: 'Iced Tea', quantity: 2 }), client_side: true },
+            { id: 'call_2', name: 'show_menu', arguments: '{}', client_side: true }
+        ]
+    }, connection);
+
+    const [added, shown] = connection.responses;
+
+    assert.strictEqual(added.id, 'call_1');
+    assert.strictEqual(added.name, 'add_to_cart');
+    assert.strictEqual(added.content.success, true);
+    assert.strictEqual(handler.cartEngine.getContents().cart.itemCount, 2);
+
+    assert.strictEqual(shown.id, 'call_2');
+    assert.strictEqual(shown.name, 'show_menu');
+    assert.strictEqual(shown.content.success, false);
+    assert.strictEqual(shown.content.confirmation, 'Sorry, No client connection available.');
+    assert.strictEqual(handler.pendingCalls.size, 0);
+});
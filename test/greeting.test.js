@@ -0,0 +1,112 @@
+// greeting.test.js - The agent speaks a greeting from the profile, returning callers are greeted by name
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ProfileRegistry } = require('../agent-profiles');
+const { OrderStore } = require('../order-store');
+const { MockAgentServer } = require('../mock-agent-server');
+const { startBackend, connectClient, withTimeout } = require('./helpers/conversation-runner');
+
+// Pixel Pizzeria is in New York
+const MORNING = new Date('2026-03-02T14:00:00Z');
+const EVENING = new Date('2026-03-02T23:30:00Z');
+
+test('ProfileRegistry fills the greeting variables', () => {
+    const profiles = new ProfileRegistry(path.join(__dirname, '..', 'profiles')).load();
+    const pizza = profiles.get('pizza');
+
+    assert.strictEqual(profiles.getGreeting(pizza, 'en', { now: MORNING }),
+        "Hello! Welcome to Pixel Pizzeria. I'm your virtual assistant. How can I help you today?");
+    assert.strictEqual(profiles.getGreeting(pizza, 'en', { now: MORNING, customerName: 'Ana' }),
+        'Good morning, Ana! Welcome back to Pixel Pizzeria. What can I get for you today?');
+    assert.strictEqual(profiles.getGreeting(pizza, 'es', { now: EVENING, customerName: 'Ana' }),
+        'Buenas noches, Ana. Bienvenido de nuevo a Pixel Pizzeria. ¿Qué le preparamos hoy?');
+
+    // A greeting in the profile's settings uses the same variables
+    const settings = profiles.getSettings({ ...pizza, settings: { greeting: '{{timeOfDay}} from {{name}}!' } }, 'en', undefined, { now: EVENING });
+    assert.strictEqual(settings.greeting, 'Good evening from Pixel Pizzeria!');
+
+    // The greeting speaks for the brand, clients cannot change it
+    assert.throws(() => profiles.getSettings(pizza, 'en', { greeting: 'Hi!' }), /greeting: cannot be changed by the client/);
+});
+
+test('OrderStore finds a returning customer by phone number', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const store = new OrderStore(directory);
+    store.createOrder({ channel: 'phone', customer: { name: 'Ana', phone: '+1 (555) 010-0100' } });
+    store.createOrder({ channel: 'phone', customer: { name: 'Ana Lopez', phone: '15550100100' } });
+    store.createOrder({ channel: 'phone', customer: { phone: '15550100100' } });
+
+    assert.deepStrictEqual(store.findCustomer('1-555-010-0100'), { name: 'Ana Lopez', phone: '15550100100', address: null });
+    assert.strictEqual(store.findCustomer('5550199'), null);
+    assert.strictEqual(store.findCustomer(''), null);
+});
+
+test('the agent greets a returning caller by name', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+
+    // An earlier order from the caller's number
+    new OrderStore(path.join(directory, 'data', 'orders'))
+        .createOrder({ channel: 'phone', customer: { name: 'Ana', phone: '5550100' } });
+
+    const mock = new MockAgentServer({ port: 0, script: [] });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const client = await connectClient(backend.port, 'asterisk');
+
+    t.after(async () => {
+        client.close();
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const nextSession = mock.nextSession();
+    client.send({ type: 'init', protocolVersion: 2, channelId: 'test-greeting', callerNumber: '5550100', dialedNumber: '1000' });
+    const agent = await withTimeout(nextSession, 'the server to connect to the agent');
+
+    const greeting = await withTimeout(
+        client.waitFor(message => message.type === 'transcript' && message.data.role === 'assistant'),
+        'the greeting'
+    );
+
+    // The settings have no greeting field, the server has the agent say it
+    assert.strictEqual(agent.settings.agent.greeting, undefined);
+    assert.match(agent.greeting, /^Good (morning|afternoon|evening), Ana! Welcome back to Pixel Pizzeria\./);
+    assert.strictEqual(greeting.data.content, agent.greeting);
+    assert.ok(!client.messages.some(message => message.type === 'transcript' && message.data.speaker),
+        'the client only gets the greeting the agent speaks');
+});
+
+test('a web client cannot claim a caller number', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+
+    new OrderStore(path.join(directory, 'data', 'orders'))
+        .createOrder({ channel: 'phone', customer: { name: 'Ana', phone: '5550100' } });
+
+    const mock = new MockAgentServer({ port: 0, script: [] });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const client = await connectClient(backend.port, 'web');
+
+    t.after(async () => {
+        client.close();
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const nextSession = mock.nextSession();
+    client.send({ type: 'init', protocolVersion: 2, profile: 'pizza', callerNumber: '5550100' });
+    const agent = await withTimeout(nextSession, 'the server to connect to the agent');
+
+    const greeting = await withTimeout(
+        client.waitFor(message => message.type === 'transcript' && message.data.role === 'assistant'),
+        'the greeting'
+    );
+
+    assert.strictEqual(greeting.data.content, "Hello! Welcome to Pixel Pizzeria. I'm your virtual assistant. How can I help you today?");
+});
@@ -0,0 +1,443 @@
+// conversation-runner.js - Plays a conversation script against backend-server.js and the mock Deepgram agent
+// The server runs as a child process with its own DATA_DIR and a copy of the profiles whose restaurants are
+// always open, so checkouts do not depend on the time the tests run.
+//
+// A conversation script (test/conversations/*.json):
+//   {
+//     "name": "...",
+//     "client": "web" | "asterisk",
+//     "init": { ...extra fields of the init command, null leaves a default out, e.g. "protocolVersion": null },
+//              "mode": "text" types the user steps with user_text instead of sending audio
+//     "steps": [ mock agent steps, function steps can have "expect": { ...partial function result } ],
+//              the agent speaks the greeting the server injects before them
+//     "expect": {
+//       "actions": [action types sent to the client],
+//       "cart": { ...partial last cart sent to the client },
+//       "order": { ...partial placed order }, or null for no order,
+//       "greeting": greeting the server had the agent say,
+//       "settings": { ...partial settings message sent to the agent }
+//     }
+//   }
+
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const WebSocket = require('ws');
+const { MockAgentServer } = require('../../mock-agent-server');
+const { validateEvent, PROTOCOL_VERSION, LEGACY_VERSION } = require('../../client-protocol');
+const { formatErrors } = require('../../schema-validator');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CONVERSATIONS_DIR = path.join(__dirname, '..', 'conversations');
+
+const STEP_TIMEOUT_MS = 10000;
+
+// Token the orders API of the test server accepts
+const STAFF_TOKEN = 'test-staff-token';
+
+// 20 ms of 16 kHz linear16 silence, sent while the script waits for the caller
+const SILENCE = Buffer.alloc(640);
+const SPEAKING_INTERVAL_MS = 50;
+
+/**
+ * Read every conversation script
+ * @param {string} directory - Directory with one JSON script per conversation
+ * @returns {Array<Object>} - Scripts with their file name
+ */
+function readConversations(directory = CONVERSATIONS_DIR) {
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({ file: file, ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) }));
+}
+
+/**
+ * Reject a promise that takes too long
+ * @param {Promise} promise - Promise to wait for
+ * @param {string} description - What is awaited, for the error message
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise}
+ */
+function withTimeout(promise, description, timeoutMs = STEP_TIMEOUT_MS) {
+    let timer;
+
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms waiting for ${description}`)), timeoutMs);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Find a free TCP port
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const port = probe.address().port;
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Copy the profiles into a temporary directory with data files that are open around the clock
+ * @param {string} directory - Temporary directory
+ * @returns {string} - Profiles directory to set as PROFILES_DIR
+ */
+function createFixtureProfiles(directory) {
+    const profilesDir = path.join(directory, 'profiles');
+    fs.mkdirSync(profilesDir);
+
+    fs.readdirSync(path.join(ROOT, 'profiles'))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const profile = JSON.parse(fs.readFileSync(path.join(ROOT, 'profiles', file), 'utf8'));
+            const data = JSON.parse(fs.readFileSync(path.join(ROOT, profile.dataFile), 'utf8'));
+            const dataFile = path.join(directory, `${profile.id}-data.json`);
+
+            if (data.hours) {
+                Object.keys(data.hours).forEach(day => {
+                    data.hours[day] = { open: '00:00', close: '23:59' };
+                });
+                delete data.holidays;
+            }
+
+            delete data.$schema;
+            fs.writeFileSync(dataFile, JSON.stringify(data, null, 4));
+            fs.writeFileSync(path.join(profilesDir, file), JSON.stringify({ ...profile, dataFile: dataFile }, null, 4));
+        });
+
+    return profilesDir;
+}
+
+/**
+ * Start backend-server.js
+ * @param {Object} options - { agentUrl, directory: temporary directory for its data and profiles }
+ * @returns {Promise<Object>} - { port, log(), stop() }
+ */
+async function startBackend(options) {
+    const port = await getFreePort();
+    let output = '';
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'backend-server.js')], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DEEPGRAM_API_KEY: 'test',
+            DEEPGRAM_AGENT_URL: options.agentUrl,
+            DATA_DIR: path.join(options.directory, 'data'),
+            STAFF_API_TOKENS: `test:${STAFF_TOKEN}`,
+            PROFILES_DIR: createFixtureProfiles(options.directory)
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await withTimeout(new Promise((resolve, reject) => {
+        child.stdout.on('data', () => {
+            if (output.includes(`Server running on port ${port}`)) resolve();
+        });
+        exited.then(code => reject(new Error(`backend-server.js exited with ${code}:\n${output}`)));
+    }), 'backend-server.js to start');
+
+    return {
+        port: port,
+        log: () => output,
+        stop: () => {
+            if (child.exitCode === null) child.kill();
+            return exited;
+        }
+    };
+}
+
+/**
+ * Connect to the server like the web page or the Asterisk bridge
+ * @param {number} port - Server port
+ * @param {string} clientType - web or asterisk
+ * @returns {Promise<Object>} - { ws, messages, audioBytes(), waitFor(predicate), close() }
+ */
+function connectClient(port, clientType) {
+    const ws = new WebSocket(`ws://localhost:${port}${clientType === 'asterisk' ? '/asterisk' : '/'}`);
+    const messages = [];
+    const waiters = [];
+    let audioBytes = 0;
+
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            audioBytes += data.length;
+            return;
+        }
+
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+
+        waiters.slice().forEach(waiter => {
+            if (waiter.predicate(message)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(message);
+            }
+        });
+    });
+
+    const client = {
+        ws: ws,
+        messages: messages,
+        audioBytes: () => audioBytes,
+        // Resolves with the first message, already received or not, that matches
+        waitFor: (predicate) => {
+            const received = messages.find(predicate);
+            return received ? Promise.resolve(received) : new Promise(resolve => waiters.push({ predicate, resolve }));
+        },
+        send: (message) => ws.send(JSON.stringify(message)),
+        close: () => ws.close()
+    };
+
+    return withTimeout(new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    }), 'the client to connect');
+}
+
+/**
+ * Build the init command of a conversation, null in the script's init leaves a field out
+ * @param {Object} conversation - Conversation script
+ * @returns {Object} - Init command
+ */
+function createInitCommand(conversation) {
+    const defaults = conversation.client === 'asterisk'
+        ? { channelId: `test-${Date.now()}`, callerNumber: '5550100', dialedNumber: '1000' }
+        : { profile: 'pizza' };
+    const init = { type: 'init', protocolVersion: PROTOCOL_VERSION, ...defaults, ...conversation.init };
+
+    Object.keys(init).forEach(key => {
+        if (init[key] === null) delete init[key];
+    });
+
+    return init;
+}
+
+/**
+ * Play a conversation
+ * @param {Object} conversation - Conversation script
+ * @returns {Promise<Object>} - { protocolVersion, textOnly, messages, audioBytes, agent: mock agent session, orders, log }
+ */
+async function runConversation(conversation) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const mock = new MockAgentServer({
+        port: 0,
+        // The mock ignores the expectations
+        script: conversation.steps.map(({ expect, ...step }) => step)
+    });
+
+    let backend = null;
+    let client = null;
+    let speaking = null;
+
+    try {
+        backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+        client = await connectClient(backend.port, conversation.client);
+
+        const nextSession = mock.nextSession();
+        const init = createInitCommand(conversation);
+        client.send(init);
+
+        const agent = await withTimeout(nextSession, 'the server to connect to the agent');
+
+        // Text sessions type each user step when the agent listens for it
+        if (init.mode === 'text') {
+            agent.on('listening', step => client.send({ type: 'user_text', text: step.user }));
+        }
+
+        await withTimeout(client.waitFor(message => message.type === 'status' && message.status === 'ready'), 'the ready status');
+
+        // The mock agent hears the caller once audio arrives
+        if (init.mode !== 'text') {
+            speaking = setInterval(() => {
+                if (client.ws.readyState === WebSocket.OPEN) client.ws.send(SILENCE);
+            }, SPEAKING_INTERVAL_MS);
+        }
+
+        if (!agent.finished) {
+            await withTimeout(agent.waitFor('finished'), 'the agent to finish its script');
+        }
+
+        const agentTurns = getSpokenTurns(conversation, agent).filter(turn => turn.role === 'assistant').length;
+        const countAudioComplete = () => client.messages.filter(message => message.type === 'audioComplete').length;
+        await withTimeout(client.waitFor(() => countAudioComplete() >= agentTurns), 'the last audioComplete');
+
+        const response = await fetch(`http://localhost:${backend.port}/api/orders`, {
+            headers: { Authorization: `Bearer ${STAFF_TOKEN}` }
+        });
+        const orders = (await response.json()).orders;
+
+        return {
+            protocolVersion: init.protocolVersion || LEGACY_VERSION,
+            textOnly: init.mode === 'text',
+            messages: client.messages,
+            audioBytes: client.audioBytes(),
+            agent: agent,
+            orders: orders,
+            log: backend.log()
+        };
+    } catch (error) {
+        if (backend) {
+            error.message += `\n--- backend-server.js output ---\n${backend.log().slice(-4000)}`;
+        }
+
+        throw error;
+    } finally {
+        clearInterval(speaking);
+        if (client) client.close();
+        if (backend) await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * List what the agent and the caller say, in order: the greeting the server injected, then the script
+ * @param {Object} conversation - Conversation script
+ * @param {MockAgentSession} agent - Mock agent session of the conversation
+ * @returns {Array<Object>} - { role, content } turns
+ */
+function getSpokenTurns(conversation, agent) {
+    const greeting = agent.greeting;
+    const turns = conversation.steps
+        .filter(step => step.user !== undefined || step.agent !== undefined)
+        .map(step => (step.user !== undefined ? { role: 'user', content: step.user } : { role: 'assistant', content: step.agent }));
+
+    return greeting ? [{ role: 'assistant', content: greeting }, ...turns] : turns;
+}
+
+/**
+ * Check that an object has every expected value, arrays must have the same length
+ * @param {*} actual - Received value
+ * @param {*} expected - Expected value, objects may leave fields out
+ * @param {string} at - Path of the value, for the error message
+ */
+function assertMatches(actual, expected, at = 'value') {
+    if (expected === null || typeof expected !== 'object') {
+        assert.strictEqual(actual, expected, `${at} should be ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        return;
+    }
+
+    assert.ok(actual !== null && typeof actual === 'object', `${at} should be an object, got ${JSON.stringify(actual)}`);
+
+    if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual), `${at} should be an array`);
+        assert.strictEqual(actual.length, expected.length, `${at} should have ${expected.length} entries, got ${actual.length}`);
+    }
+
+    Object.keys(expected).forEach(key => assertMatches(actual[key], expected[key], `${at}.${key}`));
+}
+
+/**
+ * Check what the client received and what went back to the agent against the script
+ * @param {Object} conversation - Conversation script
+ * @param {Object} result - Result of runConversation
+ */
+function assertConversation(conversation, result) {
+    const expect = conversation.expect || {};
+
+    // Everything the server sent follows the protocol the client asked for
+    result.messages.forEach((message, index) => {
+        const check = validateEvent(message, result.protocolVersion);
+        assert.ok(check.valid, `message ${index} (${message.type}) does not match protocol version ${result.protocolVersion}:\n${formatErrors(check.errors)}`);
+    });
+
+    // The agent's words and the caller's transcripts reach the client in script order
+    const spoken = getSpokenTurns(conversation, result.agent);
+    const transcripts = result.messages
+        .filter(message => message.type === 'transcript' && message.data && message.data.role)
+        .map(message => ({ role: message.data.role, content: message.data.content }));
+
+    assert.deepStrictEqual(transcripts, spoken, 'transcripts sent to the client');
+
+    const agentTurns = spoken.filter(turn => turn.role === 'assistant').length;
+    const audioComplete = result.messages.filter(message => message.type === 'audioComplete').length;
+
+    assert.strictEqual(audioComplete, agentTurns, 'audioComplete messages sent to the client');
+    if (result.textOnly) {
+        // The agent still speaks, the server keeps its audio from the client
+        assert.ok(result.agent.settings.agent.speak, 'a text session keeps its voice');
+        assert.ok(result.agent.audioChunksSent > 0, 'the agent should speak in a text session');
+        assert.strictEqual(result.audioBytes, 0, 'a text session should receive no agent audio');
+        assert.deepStrictEqual(result.agent.typedMessages, spoken.filter(turn => turn.role === 'user').map(turn => turn.content), 'typed messages sent to the agent');
+    } else {
+        assert.ok(result.audioBytes > 0, 'the client should receive agent audio');
+    }
+
+    // Every function call is answered, with the expected result
+    const calls = conversation.steps.filter(step => step.function);
+
+    assert.strictEqual(result.agent.functionCallResponses.length, calls.length, 'function call responses sent to the agent');
+
+    calls.forEach((step, index) => {
+        const output = JSON.parse(result.agent.functionCallResponses[index].content);
+
+        assert.ok(output.confirmation, `${step.function} response should have a confirmation`);
+
+        if (step.expect) {
+            assertMatches(output, step.expect, `${step.function} result`);
+        }
+    });
+
+    const actions = result.messages
+        .filter(message => message.type === 'actions')
+        .flatMap(message => message.actions);
+
+    if (expect.actions) {
+        assert.deepStrictEqual(actions.map(action => action.type), expect.actions, 'actions sent to the client');
+    }
+
+    if (expect.cart) {
+        const carts = actions.filter(action => action.type === 'cart_updated');
+
+        assert.ok(carts.length > 0, 'the client should receive the cart');
+        assertMatches(carts[carts.length - 1].cart, expect.cart, 'cart');
+    }
+
+    if (expect.order !== undefined) {
+        if (expect.order === null) {
+            assert.strictEqual(result.orders.length, 0, 'no order should be placed');
+        } else {
+            assert.strictEqual(result.orders.length, 1, 'one order should be placed');
+            assertMatches(result.orders[0], expect.order, 'order');
+        }
+    }
+
+    assert.ok(result.agent.settings, 'the server should configure the agent');
+    assert.deepStrictEqual(result.agent.rejected, [], 'messages the agent API does not accept');
+
+    if (expect.greeting !== undefined) {
+        assert.strictEqual(result.agent.greeting, expect.greeting, 'greeting');
+    }
+
+    if (expect.settings) {
+        assertMatches(result.agent.settings, expect.settings, 'agent settings');
+    }
+}
+
+module.exports = {
+    readConversations,
+    startBackend,
+    connectClient,
+    runConversation,
+    assertConversation,
+    assertMatches,
+    withTimeout,
+    STAFF_TOKEN
+};
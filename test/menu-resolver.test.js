@@ -0,0 +1,96 @@
+// menu-resolver.test.js - Spoken item names to menu items, and what counts as ambiguous
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MenuResolver, describeCandidates } = require('../menu-resolver');
+const { getLocale } = require('../locales');
+
+const data = {
+    menu: {
+        pizzas: [{ id: 'p1', name: 'Margherita', translations: { es: 'Margarita' } }, { id: 'p2', name: 'Pepperoni' }],
+        sides: [{ id: 's1', name: 'Garlic Bread' }, { id: 's2', name: 'Garlic Knots' }],
+        drinks: [{ id: 'd1', name: 'Cola', translations: { es: 'Refresco de cola' } }],
+        desserts: []
+    },
+    menuKeywords: { coke: ['d1', 'soda'] }
+};
+
+const resolver = new MenuResolver(data);
+
+test('resolve matches names, translations, synonyms and sound-alikes', () => {
+    const matched = text => {
+        const result = resolver.resolve(text);
+        assert.strictEqual(result.status, 'matched', `"${text}" should match`);
+        return [result.item.id, result.candidates[0].matchedOn];
+    };
+
+    assert.deepStrictEqual(matched('a margarita please'), ['p1', 'exact']);
+    assert.deepStrictEqual(matched('pepperonis'), ['p2', 'exact']);
+    assert.deepStrictEqual(matched('peperoni'), ['p2', 'phonetic']);
+    assert.deepStrictEqual(matched('a coke'), ['d1', 'exact']);
+    assert.deepStrictEqual(matched('soda'), ['d1', 'exact']);
+    assert.deepStrictEqual(matched('refresco de cola'), ['d1', 'exact']);
+});
+
+test('resolve returns the candidates when two items match equally well', () => {
+    const result = resolver.resolve('garlic');
+
+    assert.strictEqual(result.status, 'ambiguous');
+    assert.strictEqual(result.item, null);
+    assert.deepStrictEqual(result.candidates.map(candidate => candidate.id), ['s1', 's2']);
+
+    assert.strictEqual(describeCandidates(result.candidates), 'Did you mean the Garlic Bread or the Garlic Knots?');
+    assert.strictEqual(describeCandidates(result.candidates, getLocale('es')), '¿Quiso decir Garlic Bread o Garlic Knots?');
+
+    // Narrowed down to one item the same text matches
+    const narrowed = resolver.resolve('garlic', { itemIds: ['s1'] });
+    assert.strictEqual(narrowed.status, 'matched');
+    assert.strictEqual(narrowed.item.id, 's1');
+});
+
+test('resolve finds nothing for unknown items and filler words', () => {
+    ['sushi', '', 'the'].forEach(text => {
+        assert.deepStrictEqual(resolver.resolve(text), { status: 'not_found', item: null, category: null, candidates: [], quantity: null, size: null });
+    });
+});
+
+test('resolve returns the quantity and size said with the item', () => {
+    const sized = new MenuResolver({
+        ...data,
+        customizations: { sizes: [{ name: 'Large' }, { name: 'X-Large' }] }
+    });
+    const heard = text => {
+        const result = sized.resolve(text);
+        return [result.item && result.item.id, result.quantity, result.size];
+    };
+
+    assert.deepStrictEqual(heard('two cokes'), ['d1', 2, null]);
+    assert.deepStrictEqual(heard('one pepperoni'), ['p2', 1, null]);
+    assert.deepStrictEqual(heard('3 large pepperonis'), ['p2', 3, 'Large']);
+    assert.deepStrictEqual(heard('an extra large margarita'), ['p1', null, 'X-Large']);
+    assert.deepStrictEqual(heard('dos refrescos de cola'), ['d1', 2, null]);
+    assert.deepStrictEqual(heard('pepperoni'), ['p2', null, null]);
+});
+
+test('resolve hands back every candidate of an ambiguous text', () => {
+    const menu = new MenuResolver({
+        menu: {
+            pizzas: ['Margherita', 'Pepperoni', 'Hawaiian', 'Meat Lovers', 'Veggie', 'BBQ Chicken'].map((name, index) => ({ id: `p${index + 1}`, name })),
+            sides: [{ id: 's1', name: 'Cheese Bread' }, { id: 's2', name: 'Cheese Sticks' }, { id: 's3', name: 'Cheese Fries' }, { id: 's4', name: 'Cheese Dip' }],
+            drinks: [],
+            desserts: []
+        }
+    });
+
+    // More than three items match equally well
+    assert.deepStrictEqual(menu.resolve('cheese').candidates.map(candidate => candidate.id), ['s1', 's2', 's3', 's4']);
+
+    // Only the category was named, the customer has to pick one of its items
+    const pizza = menu.resolve('two pizzas');
+    assert.strictEqual(pizza.status, 'ambiguous');
+    assert.strictEqual(pizza.quantity, 2);
+    assert.deepStrictEqual(pizza.candidates.map(candidate => candidate.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+
+    // In the cart "the pizza" is the one pizza there
+    assert.strictEqual(menu.resolve('the pizza', { itemIds: ['p3', 's1'] }).item.id, 'p3');
+});
@@ -0,0 +1,140 @@
+// mock-agent-server.test.js - The mock agent answers settings the way the agent does, unknown types and fields are rejected
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { MockAgentServer } = require('../mock-agent-server');
+const { withTimeout } = require('./helpers/conversation-runner');
+
+/**
+ * Connect to the mock, send settings and collect what comes back until the reply is spoken
+ * @param {string} url - Mock agent URL
+ * @param {Object} settings - Settings message
+ * @returns {Promise<Object>} - { events: JSON events, audio: binary chunks }
+ */
+function sendSettings(url, settings) {
+    const ws = new WebSocket(url);
+    const received = { events: [], audio: [] };
+
+    return new Promise((resolve, reject) => {
+        ws.on('error', reject);
+        ws.on('open', () => ws.send(JSON.stringify(settings)));
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                received.audio.push(data);
+                return;
+            }
+
+            const event = JSON.parse(data.toString());
+            received.events.push(event);
+
+            if (event.type === 'AgentAudioDone' || event.type === 'Error') {
+                ws.close();
+                resolve(received);
+            }
+        });
+    });
+}
+
+// Settings in the shape of the V1 agent API
+const AGENT = {
+    listen: { provider: { type: 'deepgram', model: 'nova-2' } },
+    think: { provider: { type: 'open_ai', model: 'gpt-4o-mini' }, prompt: 'You take pizza orders.' },
+    speak: { provider: { type: 'deepgram', model: 'aura-asteria-en' } }
+};
+
+test('the mock speaks at the output sample rate of the settings', async (t) => {
+    const mock = new MockAgentServer({ port: 0, script: [{ agent: 'Hello' }], greeting: false });
+    const url = await mock.start();
+    t.after(() => mock.stop());
+
+    const received = await withTimeout(sendSettings(url, {
+        type: 'Settings',
+        audio: { input: { encoding: 'linear16', sample_rate: 16000 }, output: { encoding: 'linear16', sample_rate: 16000 } },
+        agent: AGENT
+    }), 'the reply');
+
+    assert.deepStrictEqual(received.events.map(event => event.type),
+        ['Welcome', 'SettingsApplied', 'AgentStartedSpeaking', 'ConversationText', 'AgentAudioDone']);
+
+    // 200 ms of 16 kHz linear16
+    assert.strictEqual(received.audio.length, 2);
+    received.audio.forEach(chunk => assert.strictEqual(chunk.length, 6400));
+});
+
+test('the mock rejects settings that are not in the agent API', async (t) => {
+    const mock = new MockAgentServer({ port: 0, script: [{ agent: 'Hello' }], greeting: false });
+    const url = await mock.start();
+    t.after(() => mock.stop());
+
+    const received = await withTimeout(sendSettings(url, {
+        type: 'Settings',
+        audio: { input: { encoding: 'linear16', sampleRate: 16000 } },
+        agent: {
+            listen: { provider: { type: 'deepgram', model: 'nova-2', endpointing: 300 } },
+            think: { provider: { type: 'open_ai', model: 'gpt-4o-mini' }, instructions: 'You take pizza orders.' }
+        }
+    }), 'the error');
+
+    assert.deepStrictEqual(received.events, [
+        { type: 'Welcome', session_id: 1 },
+        {
+            type: 'Error',
+            description: [
+                'Invalid Settings message:',
+                'audio.input.sample_rate: is required',
+                'audio.input.sampleRate: is not an allowed property',
+                'agent.listen.provider.endpointing: is not an allowed property',
+                'agent.think.instructions: is not an allowed property'
+            ].join('\n'),
+            code: 'UNPARSABLE_CLIENT_MESSAGE'
+        }
+    ]);
+    assert.strictEqual(mock.sessions[0].settings, null);
+});
+
+test('the mock rejects message types the agent API does not have', async (t) => {
+    const mock = new MockAgentServer({ port: 0, script: [{ user: 'A pepperoni pizza' }], greeting: false });
+    const url = await mock.start();
+    t.after(() => mock.stop());
+
+    const ws = new WebSocket(url);
+    t.after(() => ws.close());
+
+    const errors = [];
+    ws.on('message', (data, isBinary) => {
+        const event = isBinary ? null : JSON.parse(data.toString());
+        if (event && event.type === 'Error') errors.push(event);
+    });
+    await withTimeout(new Promise(resolve => ws.on('open', resolve)), 'the connection');
+
+    const session = mock.sessions[0];
+
+    // Messages of the SDK's 3.x preview protocol, and InjectAgentMessage with the text where the 4.x SDK puts it
+    const messages = [
+        { type: 'SettingsConfiguration', audio: {}, agent: {} },
+        { type: 'UpdateInstructions', instructions: 'Be brief' },
+        { type: 'InjectAgentMessage', content: 'Hello!' }
+    ];
+    messages.forEach(message => ws.send(JSON.stringify(message)));
+
+    await withTimeout(new Promise(resolve => {
+        const check = () => (errors.length === messages.length ? resolve() : setTimeout(check, 5));
+        check();
+    }), 'the errors');
+
+    assert.deepStrictEqual(session.rejected.map(rejected => rejected.message), messages);
+    assert.deepStrictEqual(errors.map(error => error.description), [
+        'Invalid SettingsConfiguration message:\ntype: unknown message type "SettingsConfiguration"',
+        'Invalid UpdateInstructions message:\ntype: unknown message type "UpdateInstructions"',
+        'Invalid InjectAgentMessage message:\nmessage: is required\ncontent: is not an allowed property'
+    ]);
+
+    // A typed message in the V1 shape is the user's turn
+    ws.send(JSON.stringify({ type: 'Settings', audio: { input: { encoding: 'linear16', sample_rate: 16000 } }, agent: AGENT }));
+    ws.send(JSON.stringify({ type: 'InjectUserMessage', content: 'A pepperoni pizza please' }));
+
+    await withTimeout(session.waitFor('finished'), 'the script');
+    assert.deepStrictEqual(session.typedMessages, ['A pepperoni pizza please']);
+    assert.strictEqual(errors.length, 3);
+});
@@ -0,0 +1,63 @@
+// order-store.test.js - Finding orders, and the orders API only answers staff
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { OrderStore } = require('../order-store');
+const { startBackend, STAFF_TOKEN } = require('./helpers/conversation-runner');
+
+test('OrderStore finds an order by id or order number', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const store = new OrderStore(directory);
+    const order = store.createOrder({ channel: 'web', customer: { name: 'Ana' } });
+
+    assert.strictEqual(order.orderNumber, 1001);
+    assert.strictEqual(store.getOrder(order.id), order);
+    assert.strictEqual(store.getOrder('1001'), order);
+    assert.strictEqual(store.getOrder(1001), order);
+
+    // Not order numbers, even if they start with one
+    ['1001abc', '1001.0', ' 1001', '', '1002'].forEach(input => assert.strictEqual(store.getOrder(input), null, `"${input}"`));
+
+    assert.strictEqual(store.updateStatus('1001', 'accepted').status, 'accepted');
+    assert.strictEqual(new OrderStore(directory).getOrder(order.id).status, 'accepted');
+});
+
+test('the orders API needs a staff token', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const backend = await startBackend({ agentUrl: 'ws://localhost:1', directory: directory });
+
+    t.after(async () => {
+        await backend.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const request = (method, pathname, token) => fetch(`http://localhost:${backend.port}${pathname}`, {
+        method: method,
+        headers: token ? { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } : {},
+        body: method === 'PATCH' ? JSON.stringify({ status: 'accepted' }) : undefined
+    });
+
+    for (const [method, pathname] of [['GET', '/api/orders'], ['GET', '/api/orders/1001'], ['PATCH', '/api/orders/1001/status']]) {
+        assert.strictEqual((await request(method, pathname)).status, 401, `${method} ${pathname} without a token`);
+        assert.strictEqual((await request(method, pathname, 'wrong')).status, 401, `${method} ${pathname} with a bad token`);
+    }
+
+    // The kitchen display's EventSource sends the token as ?token=
+    assert.strictEqual((await request('GET', '/api/orders/stream')).status, 401);
+    assert.strictEqual((await request('GET', '/api/orders/stream?token=wrong')).status, 401);
+    assert.strictEqual((await request('GET', `/api/orders?token=${STAFF_TOKEN}`)).status, 401, 'only the stream takes ?token=');
+
+    const stream = await request('GET', `/api/orders/stream?token=${STAFF_TOKEN}`);
+    assert.strictEqual(stream.status, 200);
+    await stream.body.cancel();
+
+    const response = await request('GET', '/api/orders', STAFF_TOKEN);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { orders: [] });
+    assert.strictEqual((await request('GET', '/api/orders/1001', STAFF_TOKEN)).status, 404);
+});
@@ -0,0 +1,58 @@
+// pricing-engine.test.js - Line and order prices, rounded to cents
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { roundCurrency, priceLineItem, priceOrder, describeOrderPrice } = require('../pricing-engine');
+
+const data = {
+    customizations: {
+        sizes: [{ name: 'Medium', adjustmentFactor: 1 }, { name: 'Large', adjustmentFactor: 1.2 }],
+        toppings: [{ name: 'Extra Cheese', price: 1.5 }]
+    },
+    pricing: { taxRate: 0.08, crustSurcharges: { 'Deep Dish': 2 } },
+    delivery: { fee: 3, minimum: 20 }
+};
+
+test('roundCurrency rounds half cents up', () => {
+    assert.strictEqual(roundCurrency(1.005), 1.01);
+    assert.strictEqual(roundCurrency(0.1 + 0.2), 0.3);
+    assert.strictEqual(roundCurrency(15.588), 15.59);
+});
+
+test('priceLineItem adds size, toppings and crust', () => {
+    const price = priceLineItem({
+        price: 12.99,
+        quantity: 3,
+        size: 'large',
+        crust: 'deep dish',
+        customizations: ['Extra Cheese', 'Glitter']
+    }, data);
+
+    assert.strictEqual(price.basePrice, 15.59);
+    assert.deepStrictEqual(price.toppings, [{ name: 'Extra Cheese', price: 1.5 }, { name: 'Glitter', price: 0 }]);
+    assert.strictEqual(price.crustSurcharge, 2);
+    assert.strictEqual(price.unitPrice, 19.09);
+    assert.strictEqual(price.lineTotal, 57.27);
+});
+
+test('priceOrder takes deals off before tax and checks the delivery minimum', () => {
+    const lines = [
+        { id: 'line-1', name: 'Cheese Pizza', price: 10, quantity: 2, size: 'Medium' },
+        { id: 'line-2', name: 'Iced Tea', price: 2.5, quantity: 1 }
+    ];
+    const deals = [{ id: 'two-pizzas', name: 'Two Pizza Deal', price: 16, covers: [{ lineId: 'line-1', quantity: 2 }] }];
+
+    const pricing = priceOrder(lines, data, { delivery: true, deals: deals });
+
+    assert.strictEqual(pricing.subtotal, 22.5);
+    assert.deepStrictEqual(pricing.discounts, [
+        { dealId: 'two-pizzas', name: 'Two Pizza Deal', regularPrice: 20, dealPrice: 16, amount: 4 }
+    ]);
+    assert.strictEqual(pricing.tax, 1.48);
+    assert.strictEqual(pricing.meetsDeliveryMinimum, false);
+    assert.strictEqual(pricing.deliveryShortfall, 1.5);
+    assert.strictEqual(pricing.total, 22.98);
+
+    assert.strictEqual(describeOrderPrice(pricing),
+        'The subtotal is $22.50, the Two Pizza Deal saves $4.00, tax is $1.48, the delivery fee is $3.00, for a total of $22.98.');
+});
@@ -0,0 +1,61 @@
+// promotion-engine.test.js - Picking the deal that saves the customer the most
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { findBestDeal, findDeal } = require('../promotion-engine');
+
+const data = {
+    deals: [
+        { id: 'pizza-pair', name: 'Pizza Pair', price: 20, requirements: [{ category: 'pizzas', quantity: 2 }] },
+        { id: 'large-pair', name: 'Large Pair', price: 22, requirements: [{ category: 'pizzas', size: 'Large', quantity: 2 }] },
+        {
+            id: 'lunch',
+            name: 'Lunch Slice',
+            price: 5,
+            requirements: [{ category: 'pizzas', quantity: 1 }],
+            timeRestriction: { start: '11:00', end: '14:00' }
+        }
+    ]
+};
+
+// Cart of a session, the promotion engine only reads its lines and applied deals
+const createCart = (items, appliedDeals = []) => ({ items, appliedDeals });
+
+const twoLargePizzas = [
+    { id: 'line-1', category: 'pizzas', name: 'Pepperoni', price: 14, quantity: 1, size: 'Large' },
+    { id: 'line-2', category: 'pizzas', name: 'Margherita', price: 14, quantity: 1, size: 'Large' }
+];
+
+test('findBestDeal picks the deal with the biggest saving', () => {
+    const best = findBestDeal(createCart(twoLargePizzas), data, { minutesNow: 15 * 60 });
+
+    assert.strictEqual(best.deal.id, 'pizza-pair');
+    assert.strictEqual(best.regularPrice, 28);
+    assert.strictEqual(best.savings, 8);
+    assert.deepStrictEqual(best.covers, [{ lineId: 'line-1', quantity: 1 }, { lineId: 'line-2', quantity: 1 }]);
+
+    // The lunch deal saves more, but only at lunch time
+    assert.strictEqual(findBestDeal(createCart(twoLargePizzas), data, { minutesNow: 12 * 60 }).deal.id, 'lunch');
+
+    assert.strictEqual(findBestDeal(createCart(twoLargePizzas), data, { minutesNow: 15 * 60, dealId: 'large-pair' }).savings, 6);
+});
+
+test('findBestDeal tells what the closest deal is missing', () => {
+    const result = findBestDeal(createCart(twoLargePizzas.slice(0, 1)), data, { minutesNow: 15 * 60 });
+
+    assert.strictEqual(result.deal, null);
+    assert.strictEqual(result.closest.deal.id, 'pizza-pair');
+    assert.deepStrictEqual(result.closest.missing, ['1 more pizza']);
+});
+
+test('findBestDeal does not count lines covered by an applied deal twice', () => {
+    const applied = [{ id: 'pizza-pair', covers: [{ lineId: 'line-1', quantity: 1 }, { lineId: 'line-2', quantity: 1 }] }];
+
+    assert.strictEqual(findBestDeal(createCart(twoLargePizzas, applied), data, { minutesNow: 12 * 60 }).deal, null);
+});
+
+test('findDeal finds a deal by id or spoken name', () => {
+    assert.strictEqual(findDeal(data, ' pizza pair ').id, 'pizza-pair');
+    assert.strictEqual(findDeal(data, 'LUNCH').id, 'lunch');
+    assert.strictEqual(findDeal(data, 'free pizza'), null);
+});
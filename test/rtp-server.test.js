@@ -0,0 +1,124 @@
+// rtp-server.test.js - Pacing of the queued audio sent to Asterisk, and dropping it on barge-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RtpServer = require('../rtp-server');
+
+const TARGET = { address: '127.0.0.1', port: 40000 };
+
+/**
+ * RTP server on a clock the test moves, with the frames it sends recorded instead of put on the wire
+ * @param {Object} t - Test context, its setTimeout is mocked
+ * @returns {Object} - { server, sent: frame lengths, advance(ms): move the clock and run due timers, stall(ms): move only the clock }
+ */
+function createServer(t) {
+    const clock = { ms: 1000 };
+    const server = new RtpServer({ now: () => clock.ms });
+    const sent = [];
+
+    server.sendAudioData = (frame) => {
+        sent.push(frame.length);
+        return true;
+    };
+
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    return {
+        server,
+        sent,
+        advance: (ms) => {
+            clock.ms += ms;
+            t.mock.timers.tick(ms);
+        },
+        stall: (ms) => {
+            clock.ms += ms;
+        }
+    };
+}
+
+test('queued audio goes out one 20 ms frame at a time', (t) => {
+    const { server, sent, advance } = createServer(t);
+
+    // 100 ms of 8 kHz G.711 and a short tail
+    server.queueAudioData(Buffer.alloc(850), TARGET);
+    assert.strictEqual(server.sendQueue.length, 6);
+
+    advance(0);
+    assert.deepStrictEqual(sent, [160]);
+
+    advance(19);
+    assert.strictEqual(sent.length, 1);
+
+    advance(1);
+    advance(20);
+    assert.strictEqual(sent.length, 3);
+
+    advance(60);
+    assert.deepStrictEqual(sent, [160, 160, 160, 160, 160, 50]);
+    assert.strictEqual(server.sendTimer, null);
+});
+
+test('frames that are overdue after a late timer are sent at once', (t) => {
+    const { server, sent, advance, stall } = createServer(t);
+
+    server.queueAudioData(Buffer.alloc(1600), TARGET);
+    advance(0);
+
+    // The event loop was busy for 70 ms, the timer for the second frame fires 50 ms late
+    stall(50);
+    advance(20);
+    assert.strictEqual(sent.length, 4);
+
+    // The rest keeps the original pace instead of restarting from the late send
+    advance(10);
+    assert.strictEqual(sent.length, 5);
+    advance(20);
+    assert.strictEqual(sent.length, 6);
+});
+
+test('audio queued right after the last frame keeps the pace, audio after a pause starts now', (t) => {
+    const { server, sent, advance } = createServer(t);
+
+    server.queueAudioData(Buffer.alloc(160), TARGET);
+    advance(0);
+    assert.strictEqual(sent.length, 1);
+
+    // The next chunk arrives 5 ms later, its first frame is due when the previous one ends
+    advance(5);
+    server.queueAudioData(Buffer.alloc(160), TARGET);
+    advance(0);
+    assert.strictEqual(sent.length, 1);
+    advance(15);
+    assert.strictEqual(sent.length, 2);
+
+    // After a pause nothing is overdue, the next reply starts straight away
+    advance(500);
+    server.queueAudioData(Buffer.alloc(480), TARGET);
+    advance(0);
+    assert.strictEqual(sent.length, 3);
+    advance(20);
+    assert.strictEqual(sent.length, 4);
+});
+
+test('clearSendQueue drops what the caller has not heard and stops sending', (t) => {
+    const { server, sent, advance } = createServer(t);
+
+    server.queueAudioData(Buffer.alloc(800), TARGET);
+    advance(0);
+    advance(20);
+
+    assert.strictEqual(server.clearSendQueue(), 480);
+    assert.strictEqual(server.sendQueue.length, 0);
+    assert.strictEqual(server.sendTimer, null);
+
+    advance(100);
+    assert.strictEqual(sent.length, 2);
+
+    // Nothing queued, nothing dropped
+    assert.strictEqual(server.clearSendQueue(), 0);
+
+    // The next reply starts fresh
+    server.queueAudioData(Buffer.alloc(160), TARGET);
+    advance(0);
+    assert.strictEqual(sent.length, 3);
+});
@@ -0,0 +1,157 @@
+// session-resume.test.js - Suspended sessions and clients resuming them on a new connection
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SessionStore, addToHistory, MAX_HISTORY_MESSAGES } = require('../session-store');
+const { validateEvent, ERROR_CODES } = require('../client-protocol');
+const { MockAgentServer } = require('../mock-agent-server');
+const { startBackend, connectClient, withTimeout } = require('./helpers/conversation-runner');
+
+test('SessionStore', async (t) => {
+    await t.test('hands a suspended session back once', () => {
+        const store = new SessionStore();
+        const token = store.createToken();
+        const state = { history: [] };
+
+        assert.notStrictEqual(store.createToken(), token);
+
+        store.suspend(token, state);
+        assert.strictEqual(store.size, 1);
+        assert.strictEqual(store.resume(token), state);
+        assert.strictEqual(store.resume(token), null);
+        assert.strictEqual(store.resume('unknown'), null);
+        assert.strictEqual(store.size, 0);
+    });
+
+    await t.test('forgets sessions after the grace period', async () => {
+        const store = new SessionStore({ graceMs: 10 });
+        const token = store.createToken();
+        const expired = new Promise(resolve => store.once('expired', resolve));
+
+        store.suspend(token, { history: [] });
+
+        assert.deepStrictEqual(await withTimeout(expired, 'the session to expire'), { history: [] });
+        assert.strictEqual(store.resume(token), null);
+    });
+});
+
+test('addToHistory keeps the latest conversation messages', () => {
+    const history = [];
+
+    addToHistory(history, { type: 'ConversationText', role: 'user', content: 'Hello' });
+    addToHistory(history, { type: 'ConversationText', role: 'assistant', content: '' });
+    assert.deepStrictEqual(history, [{ role: 'user', content: 'Hello' }]);
+
+    for (let i = 0; i < MAX_HISTORY_MESSAGES; i++) {
+        addToHistory(history, { role: 'assistant', content: `Reply ${i}` });
+    }
+
+    assert.strictEqual(history.length, MAX_HISTORY_MESSAGES);
+    assert.deepStrictEqual(history[0], { role: 'assistant', content: 'Reply 0' });
+});
+
+test('a client resumes its order after the connection drops', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    const mock = new MockAgentServer({
+        port: 0,
+        script: [
+            { user: 'Two iced teas please' },
+            { function: 'add_to_cart', input: { item: 'Iced Tea', quantity: 2 } },
+            { agent: 'Two iced teas. Anything else?' }
+        ]
+    });
+    const backend = await startBackend({ agentUrl: await mock.start(), directory: directory });
+    const clients = [];
+
+    t.after(async () => {
+        clients.forEach(client => client.close());
+        await backend.stop();
+        await mock.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Connect a text client and start or resume a session
+     * @param {string} [resumeToken] - Token of the dropped connection
+     * @returns {Promise<Object>} - { client, agent: mock agent session, or null for a failed resume }
+     */
+    const startSession = async (resumeToken) => {
+        const client = await connectClient(backend.port, 'web');
+        clients.push(client);
+
+        const nextSession = mock.nextSession();
+        client.send({ type: 'init', protocolVersion: 2, profile: 'pizza', mode: 'text', resumeToken: resumeToken });
+
+        if (resumeToken) {
+            const outcome = await withTimeout(Promise.race([
+                nextSession,
+                client.waitFor(message => message.type === 'error')
+            ]), 'the server to resume the session');
+
+            if (outcome.type === 'error') return { client: client, agent: null, error: outcome };
+        }
+
+        const agent = await withTimeout(nextSession, 'the server to connect to the agent');
+        agent.on('listening', step => client.send({ type: 'user_text', text: step.user }));
+
+        return { client: client, agent: agent };
+    };
+
+    const reply = (client, text) => withTimeout(
+        client.waitFor(message => message.type === 'transcript' && message.data.content === text),
+        `the reply "${text}"`
+    );
+
+    const first = await startSession();
+    const { resumeToken } = await first.client.waitFor(message => message.status === 'connected');
+    await reply(first.client, 'Two iced teas. Anything else?');
+
+    // The next agent connection continues the order
+    mock.script = [
+        { user: "What's in my cart?" },
+        { function: 'get_cart_contents', input: {} },
+        { agent: 'You have two iced teas.' }
+    ];
+
+    const firstAgentClosed = new Promise(resolve => first.agent.once('close', resolve));
+    first.client.close();
+    await withTimeout(firstAgentClosed, 'the first agent connection to close');
+
+    const second = await startSession(resumeToken);
+    const ready = await withTimeout(second.client.waitFor(message => message.status === 'ready'), 'the ready status');
+    assert.strictEqual(ready.resumed, true);
+
+    // The agent is re-primed with the conversation so far
+    assert.deepStrictEqual(second.agent.settings.agent.context, {
+        messages: [
+            { type: 'History', role: 'assistant', content: "Hello! Welcome to Pixel Pizzeria. I'm your virtual assistant. How can I help you today?" },
+            { type: 'History', role: 'user', content: 'Two iced teas please' },
+            { type: 'History', role: 'assistant', content: 'Two iced teas. Anything else?' }
+        ]
+    });
+
+    await reply(second.client, 'You have two iced teas.');
+
+    const carts = second.client.messages
+        .filter(message => message.type === 'actions')
+        .map(message => message.actions[0]);
+    assert.deepStrictEqual(carts.map(action => [action.event, action.cart.itemCount]), [['resumed', 2], ['contents', 2]]);
+    assert.strictEqual(first.agent.greeting, "Hello! Welcome to Pixel Pizzeria. I'm your virtual assistant. How can I help you today?");
+    assert.strictEqual(second.agent.greeting, null, 'a resumed session is not greeted again');
+    assert.ok(!second.agent.messages.some(message => message.type === 'InjectAgentMessage'));
+
+    // Every connection gets its own token and a token resumes only once
+    const { resumeToken: secondToken } = await second.client.waitFor(message => message.status === 'connected');
+    assert.notStrictEqual(secondToken, resumeToken);
+
+    const third = await startSession(resumeToken);
+    assert.strictEqual(third.error.code, ERROR_CODES.RESUME_FAILED);
+    assert.strictEqual(third.error.command, 'init');
+
+    [first, second, third].forEach(({ client }) => client.messages.forEach(message => {
+        assert.ok(validateEvent(message, 2).valid, `${message.type} should match version 2`);
+    }));
+});
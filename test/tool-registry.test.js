@@ -0,0 +1,30 @@
+// tool-registry.test.js - Function definitions the agent gets for a profile's menu
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { toolRegistry } = require('../tool-registry');
+
+const data = require(path.join(__dirname, '..', 'menus', 'pixel-pizzeria.json'));
+
+test('cart functions offer the sizes and crusts of the menu', () => {
+    const definitionOf = (name, menu) => toolRegistry.getFunctionDefinitions(menu).find(definition => definition.name === name);
+
+    const menu = {
+        ...data,
+        customizations: { ...data.customizations, sizes: [{ name: 'Personal', adjustmentFactor: 0.6 }, { name: 'Party', adjustmentFactor: 2 }] }
+    };
+
+    ['add_to_cart', 'modify_cart_item'].forEach(name => {
+        const { properties } = definitionOf(name, menu).parameters;
+
+        assert.deepStrictEqual(properties.size.enum, ['Personal', 'Party']);
+        assert.strictEqual(properties.size.default, undefined);
+        assert.deepStrictEqual(properties.crust.enum, data.customizations.crusts);
+    });
+
+    // A menu without customizations has no size or crust to choose
+    const { properties } = definitionOf('add_to_cart', { name: 'Shop' }).parameters;
+    assert.strictEqual(properties.size, undefined);
+    assert.strictEqual(properties.crust, undefined);
+});
@@ -0,0 +1,83 @@
+// upsell-engine.test.js - Suggestions per rule, in the session language, and the conversion report
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { UpsellEngine, summarizeUpsellEvents } = require('../upsell-engine');
+const { getLocale } = require('../locales');
+
+const data = {
+    upsellRules: [
+        {
+            trigger: 'pizza',
+            suggestions: [
+                { type: 'side', message: 'Garlic bread?', translations: { es: '¿Pan de ajo?' } },
+                { type: 'drink', message: 'A drink with that?' }
+            ]
+        },
+        { trigger: 'large pizza', suggestions: [{ type: 'deal', message: 'Make it a combo?' }] },
+        { trigger: 'checkout', suggestions: [{ type: 'dessert', message: 'Dessert?' }] }
+    ]
+};
+
+// Cart of a session, the upsell engine only reads its lines and applied deals
+const createCart = (items = [], appliedDeals = []) => ({ items, appliedDeals });
+
+const pizza = size => ({ type: 'item_added', item: { category: 'pizzas', name: 'Pepperoni', size: size } });
+
+test('UpsellEngine offers each suggestion once, most specific trigger first', () => {
+    const events = [];
+    const upsells = new UpsellEngine(data, 'session-1', { recorder: event => events.push(event) });
+    const cart = createCart();
+
+    assert.deepStrictEqual(upsells.evaluate(pizza('Large'), cart), { trigger: 'large pizza', type: 'deal', message: 'Make it a combo?' });
+    assert.strictEqual(upsells.evaluate(pizza('Large'), cart).message, 'Garlic bread?');
+
+    // The drink is already in the cart
+    cart.items.push({ category: 'drinks', name: 'Cola' });
+    assert.strictEqual(upsells.evaluate(pizza('Medium'), cart), null);
+
+    assert.strictEqual(upsells.evaluate({ type: 'checkout' }, cart).type, 'dessert');
+    assert.strictEqual(upsells.evaluate({ type: 'checkout' }, cart), null);
+
+    assert.deepStrictEqual(events.map(event => [event.event, event.sessionId, event.type]), [
+        ['offered', 'session-1', 'deal'],
+        ['offered', 'session-1', 'side'],
+        ['offered', 'session-1', 'dessert']
+    ]);
+});
+
+test('UpsellEngine words suggestions in the session language', () => {
+    const upsells = new UpsellEngine(data, 'session-2', { locale: getLocale('es'), recorder: () => {} });
+    const cart = createCart();
+
+    // The rule's translation, then the locale's wording of the suggestion type
+    assert.strictEqual(upsells.evaluate(pizza(), cart).message, '¿Pan de ajo?');
+    assert.strictEqual(upsells.evaluate(pizza(), cart).message, '¿Le gustaría agregar una bebida a su pedido?');
+
+    // The history keeps the rule's message for the report
+    assert.deepStrictEqual(upsells.history.map(entry => entry.message), ['Garlic bread?', 'A drink with that?']);
+});
+
+test('summarizeUpsellEvents counts conversions per rule', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const file = path.join(directory, 'upsell-events.jsonl');
+    const events = [];
+    const record = event => events.push(JSON.stringify(event));
+
+    const first = new UpsellEngine(data, 'session-1', { recorder: record });
+    first.evaluate(pizza(), createCart());
+    first.evaluate({ type: 'item_added', item: { category: 'sides', name: 'Garlic Bread' } }, createCart());
+
+    new UpsellEngine(data, 'session-2', { recorder: record }).evaluate(pizza(), createCart());
+    fs.writeFileSync(file, events.join('\n') + '\n');
+
+    assert.deepStrictEqual(summarizeUpsellEvents(file), [
+        { trigger: 'pizza', type: 'side', message: 'Garlic bread?', offered: 2, converted: 1, conversionRate: 0.5 }
+    ]);
+    assert.deepStrictEqual(summarizeUpsellEvents(path.join(directory, 'missing.jsonl')), []);
+});
@@ -0,0 +1,226 @@
+// tool-registry.js - Registry of the functions the agent can call
+// Each tool lives in its own module under tools/ and declares its schema, handler and where it runs
+
+const fs = require('fs');
+const path = require('path');
+const { getLocale } = require('./locales');
+const { validate } = require('./schema-validator');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[TOOLS] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[TOOLS] ${message}`);
+        }
+    }
+}
+
+// Where a tool runs:
+// - server: the handler runs on the server and its result answers the agent
+// - client: the call is forwarded to the client, which answers with an action_response
+// - both:   the handler runs on the server, answers the agent and the result is also sent to the client
+const TOOL_LOCATIONS = ['server', 'client', 'both'];
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool
+     * @param {Object} tool - Tool definition (name, description, parameters, runsOn, handler, confirm),
+     *                        parameters may be a function of the restaurant data returning the schema
+     * @returns {ToolRegistry} - The registry, for chaining
+     */
+    register(tool) {
+        if (!tool || !tool.name) {
+            throw new Error('Tool must have a name');
+        }
+
+        if (!tool.description) {
+            throw new Error(`Tool "${tool.name}" must have a description`);
+        }
+
+        if (!tool.parameters || resolveParameters(tool, {}).type !== 'object') {
+            throw new Error(`Tool "${tool.name}" must have an object parameters schema`);
+        }
+
+        const runsOn = tool.runsOn || 'client';
+
+        if (!TOOL_LOCATIONS.includes(runsOn)) {
+            throw new Error(`Tool "${tool.name}" has invalid runsOn "${runsOn}", expected one of ${TOOL_LOCATIONS.join(', ')}`);
+        }
+
+        if (runsOn !== 'client' && typeof tool.handler !== 'function') {
+            throw new Error(`Tool "${tool.name}" runs on the ${runsOn} and needs a handler`);
+        }
+
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is already registered`);
+        }
+
+        this.tools.set(tool.name, { ...tool, runsOn });
+        debug(`Registered tool ${tool.name} (${runsOn})`);
+
+        return this;
+    }
+
+    /**
+     * Register every tool module found in a directory
+     * @param {string} directory - Directory containing one tool module per file
+     * @returns {ToolRegistry} - The registry, for chaining
+     */
+    loadDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            this.register(require(path.join(directory, file)));
+        }
+
+        return this;
+    }
+
+    /**
+     * Get a registered tool
+     * @param {string} name - Tool name
+     * @returns {Object|undefined} - Tool definition
+     */
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    /**
+     * Check if a tool is registered
+     * @param {string} name - Tool name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Create a registry with only some of the tools, e.g. for an agent profile
+     * @param {Array<string>} names - Tool names to keep
+     * @returns {ToolRegistry} - New registry with those tools
+     */
+    subset(names) {
+        const registry = new ToolRegistry();
+
+        names.forEach(name => {
+            if (!this.tools.has(name)) {
+                throw new Error(`Unknown tool "${name}"`);
+            }
+
+            registry.tools.set(name, this.tools.get(name));
+        });
+
+        return registry;
+    }
+
+    /**
+     * Get the function definitions to put in the agent settings
+     * @param {Object} data - Restaurant data of the session, e.g. for the sizes on the menu
+     * @returns {Array<Object>} - Function definitions (name, description, parameters)
+     */
+    getFunctionDefinitions(data = {}) {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: resolveParameters(tool, data)
+        }));
+    }
+
+    /**
+     * Run a server-side tool
+     * Arguments that do not match the tool's parameters never reach the handler, the agent gets a failure
+     * naming the problems so it can call again
+     * @param {string} name - Tool name
+     * @param {Object} args - Arguments from the agent
+     * @param {Object} session - Session the call belongs to, passed to the handler, its locale words the confirmation
+     *                           and its restaurantData the parameters
+     * @returns {Promise<Object>} - Handler result with a confirmation the agent can speak
+     */
+    async dispatch(name, args, session) {
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            throw new Error(`Unknown function "${name}"`);
+        }
+
+        if (tool.runsOn === 'client') {
+            throw new Error(`Function "${name}" runs on the client`);
+        }
+
+        const locale = (session && session.locale) || getLocale();
+        const check = validate(args || {}, resolveParameters(tool, (session && session.restaurantData) || {}));
+
+        if (!check.valid) {
+            debug(`Rejected arguments of ${name}`, check.errors);
+
+            const result = {
+                success: false,
+                error: locale.t('failure.arguments', {
+                    name: name,
+                    errors: check.errors.map(error => `${error.path}: ${error.message}`).join('; ')
+                }),
+                validationErrors: check.errors
+            };
+
+            return { ...result, confirmation: createConfirmation(tool, result, locale) };
+        }
+
+        const result = await tool.handler(args || {}, session);
+
+        return {
+            ...result,
+            confirmation: createConfirmation(tool, result, locale)
+        };
+    }
+}
+
+/**
+ * Get the parameters schema of a tool
+ * @param {Object} tool - Tool definition
+ * @param {Object} data - Restaurant data
+ * @returns {Object} - JSON schema of the arguments
+ */
+function resolveParameters(tool, data) {
+    return typeof tool.parameters === 'function' ? tool.parameters(data) : tool.parameters;
+}
+
+/**
+ * Build the confirmation text for a tool result
+ * @param {Object} tool - Tool definition
+ * @param {Object} result - Handler result
+ * @param {Locale} locale - Language of the session
+ * @returns {string} - Confirmation text
+ */
+function createConfirmation(tool, result, locale) {
+    if (result && result.success === false) {
+        // A question for the customer rather than an error, e.g. which of two menu items they meant
+        if (result.clarification) {
+            return result.clarification;
+        }
+
+        return locale.t('failure', { error: result.error || locale.t('failure.default') });
+    }
+
+    if (typeof tool.confirm === 'function') {
+        return tool.confirm(result, locale);
+    }
+
+    return locale.t('success');
+}
+
+// Registry with the built-in tools
+const toolRegistry = new ToolRegistry().loadDirectory(path.join(__dirname, 'tools'));
+
+module.exports = {
+    ToolRegistry,
+    toolRegistry
+};
@@ -0,0 +1,62 @@
+// add-to-cart.js - Add a menu item to the session's cart
+
+/**
+ * Size and crust parameters with the choices of the menu, left out when the menu has none
+ * @param {Object} data - Restaurant data
+ * @param {string} sizeDescription - Description of the size parameter
+ * @param {string} crustDescription - Description of the crust parameter
+ * @returns {Object} - { size, crust } parameter schemas
+ */
+function createOptionProperties(data, sizeDescription, crustDescription) {
+    const customizations = (data && data.customizations) || {};
+    const sizes = (customizations.sizes || []).map(size => size.name);
+    const crusts = customizations.crusts || [];
+
+    return {
+        ...(sizes.length > 0 && {
+            size: { type: "string", description: `${sizeDescription} (${sizes.join(', ')})`, enum: sizes }
+        }),
+        ...(crusts.length > 0 && {
+            crust: { type: "string", description: `${crustDescription} (${crusts.join(', ')})`, enum: crusts }
+        })
+    };
+}
+
+module.exports = {
+    name: 'add_to_cart',
+    description: "Add an item to the customer's cart",
+    runsOn: 'server',
+    // Sizes and crusts come from the profile's menu
+    parameters: (data) => ({
+        type: "object",
+        properties: {
+            item: {
+                type: "string",
+                description: "The name of the menu item to add"
+            },
+            quantity: {
+                type: "integer",
+                description: "The quantity of the item to add",
+                default: 1
+            },
+            ...createOptionProperties(data, "The size of the item", "The crust of a pizza"),
+            customizations: {
+                type: "array",
+                items: {
+                    type: "string"
+                },
+                description: "Any customizations for the item (extra toppings, etc.)"
+            }
+        },
+        required: ["item"]
+    }),
+
+    handler: (args, session) => session.cartEngine.addItem(args),
+
+    confirm: (result, locale) => locale.t('add_to_cart', {
+        line: locale.describeLine(result.item),
+        amount: result.item.totalPrice.toFixed(2)
+    }),
+
+    createOptionProperties
+};
@@ -0,0 +1,52 @@
+// apply-deal.js - Apply a deal to the cart once the customer accepts it
+const { findBestDeal, findDeal } = require('../promotion-engine');
+const { describeOrderPrice } = require('../pricing-engine');
+
+module.exports = {
+    name: 'apply_deal',
+    description: "Apply a deal to the customer's cart after the customer accepts it",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {
+            deal: {
+                type: "string",
+                description: "The name of the deal to apply, defaults to the last suggested deal"
+            }
+        }
+    },
+
+    handler(args, session) {
+        const data = session.restaurantData;
+        const deal = args.deal ? findDeal(data, args.deal) : findDeal(data, session.suggestedDeal);
+
+        if (!deal) {
+            return { success: false, error: args.deal ? `"${args.deal}" is not one of our deals` : 'no deal has been suggested yet' };
+        }
+
+        // Check the cart again, it may have changed since the deal was suggested
+        const match = findBestDeal(session.cartEngine, data, { dealId: deal.id });
+
+        if (!match.deal) {
+            const missing = match.closest ? `, it needs ${match.closest.missing.join(', ')}` : '';
+            return { success: false, error: `the ${deal.name} does not apply to this order right now${missing}` };
+        }
+
+        session.suggestedDeal = null;
+
+        const result = session.cartEngine.applyDeal({
+            id: deal.id,
+            name: deal.name,
+            price: deal.price,
+            covers: match.covers
+        });
+
+        return { ...result, savings: match.savings };
+    },
+
+    confirm: (result, locale) => locale.t('apply_deal', {
+        name: result.deal.name,
+        savings: result.savings.toFixed(2),
+        price: describeOrderPrice(result.cart.pricing, locale)
+    })
+};
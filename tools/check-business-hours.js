@@ -0,0 +1,26 @@
+// check-business-hours.js - Tell the agent whether the restaurant is open right now
+const { getBusinessStatus } = require('../business-hours');
+
+module.exports = {
+    name: 'check_business_hours',
+    description: "Check whether the restaurant is open right now, when it closes and when it opens next",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {}
+    },
+
+    handler(args, session) {
+        const status = getBusinessStatus(session.restaurantData);
+
+        return {
+            success: true,
+            isOpen: status.isOpen,
+            closesAt: status.closesAt,
+            nextOpening: status.nextOpening,
+            message: status.message
+        };
+    },
+
+    confirm: (result) => result.message
+};
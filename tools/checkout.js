@@ -0,0 +1,95 @@
+// checkout.js - Price and save the order on the server and hand it to the client's checkout flow
+const { describeOrderPrice } = require('../pricing-engine');
+const { getBusinessStatus } = require('../business-hours');
+
+module.exports = {
+    name: 'checkout',
+    description: "Process the customer's order for checkout",
+    runsOn: 'both',
+    parameters: {
+        type: "object",
+        properties: {
+            delivery: {
+                type: "boolean",
+                description: "Whether the customer wants delivery or pickup",
+                default: true
+            },
+            address: {
+                type: "string",
+                description: "Delivery address if applicable"
+            },
+            phone: {
+                type: "string",
+                description: "Customer's phone number"
+            }
+        }
+    },
+
+    handler(args, session) {
+        const cart = session.cartEngine;
+        const status = getBusinessStatus(session.restaurantData);
+
+        if (!status.isOpen) {
+            return {
+                success: false,
+                error: `we can't take orders at the moment. ${status.message.replace(/\.$/, '')}`,
+                reason: {
+                    code: 'restaurant_closed',
+                    message: status.message,
+                    nextOpening: status.nextOpening
+                }
+            };
+        }
+
+        if (cart.items.length === 0) {
+            return { success: false, error: 'the cart is empty' };
+        }
+
+        cart.setDelivery(args.delivery !== false);
+        const pricing = cart.getPricing();
+
+        if (!pricing.meetsDeliveryMinimum) {
+            return {
+                success: false,
+                error: `delivery orders need at least $${pricing.deliveryMinimum.toFixed(2)}, please add $${pricing.deliveryShortfall.toFixed(2)} more or choose pickup`,
+                pricing: pricing
+            };
+        }
+
+        // Details given with the checkout call win over the ones collected earlier
+        if (args.address) session.customer.address = args.address;
+        if (args.phone) session.customer.phone = args.phone;
+
+        const snapshot = cart.getSnapshot();
+        const details = {
+            sessionId: session.sessionId,
+            channel: session.channel,
+            customer: { ...session.customer },
+            delivery: pricing.delivery,
+            items: snapshot.items,
+            pricing: pricing
+        };
+
+        // Checking out again in the same call updates the order until the kitchen accepts it
+        const updated = session.order ? session.orderStore.updateOrder(session.order.id, details) : null;
+        session.order = updated || session.orderStore.createOrder(details);
+
+        return {
+            success: true,
+            event: 'checkout',
+            delivery: pricing.delivery,
+            pricing: pricing,
+            order: {
+                id: session.order.id,
+                orderNumber: session.order.orderNumber,
+                status: session.order.status
+            },
+            cart: snapshot
+        };
+    },
+
+    confirm: (result, locale) => locale.t('checkout', {
+        price: describeOrderPrice(result.pricing, locale),
+        orderNumber: result.order.orderNumber
+    })
+};
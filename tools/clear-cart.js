@@ -0,0 +1,15 @@
+// clear-cart.js - Remove every item from the session's cart
+
+module.exports = {
+    name: 'clear_cart',
+    description: "Clear all items from the customer's cart",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {}
+    },
+
+    handler: (args, session) => session.cartEngine.clear(),
+
+    confirm: (result, locale) => locale.t('clear_cart')
+};
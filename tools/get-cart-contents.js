@@ -0,0 +1,21 @@
+// get-cart-contents.js - Read back the session's cart
+const { describeOrderPrice } = require('../pricing-engine');
+
+module.exports = {
+    name: 'get_cart_contents',
+    description: "Get the contents of the customer's cart",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {}
+    },
+
+    handler: (args, session) => session.cartEngine.getContents(),
+
+    confirm: (result, locale) => result.cart.items.length > 0
+        ? locale.t('get_cart_contents', {
+            lines: result.cart.items.map(line => locale.describeLine(line)).join(', '),
+            price: describeOrderPrice(result.cart.pricing, locale)
+        })
+        : locale.t('get_cart_contents.empty')
+};
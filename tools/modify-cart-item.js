@@ -0,0 +1,36 @@
+// modify-cart-item.js - Change the quantity, size or customizations of a cart item
+
+const { createOptionProperties } = require('./add-to-cart');
+
+module.exports = {
+    name: 'modify_cart_item',
+    description: "Modify an existing item in the customer's cart",
+    runsOn: 'server',
+    // Sizes and crusts come from the profile's menu
+    parameters: (data) => ({
+        type: "object",
+        properties: {
+            item: {
+                type: "string",
+                description: "The name of the menu item to modify"
+            },
+            quantity: {
+                type: "integer",
+                description: "The new quantity of the item"
+            },
+            ...createOptionProperties(data, "The new size of the item", "The new crust of a pizza"),
+            customizations: {
+                type: "array",
+                items: {
+                    type: "string"
+                },
+                description: "The new customizations for the item"
+            }
+        },
+        required: ["item"]
+    }),
+
+    handler: (args, session) => session.cartEngine.modifyItem(args),
+
+    confirm: (result, locale) => locale.t(result.event === 'removed' ? 'remove_from_cart' : 'modify_cart_item', { name: result.item.name })
+};
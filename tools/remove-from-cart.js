@@ -0,0 +1,21 @@
+// remove-from-cart.js - Remove an item from the session's cart
+
+module.exports = {
+    name: 'remove_from_cart',
+    description: "Remove an item from the customer's cart",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {
+            item: {
+                type: "string",
+                description: "The name of the menu item to remove"
+            }
+        },
+        required: ["item"]
+    },
+
+    handler: (args, session) => session.cartEngine.removeItem(args),
+
+    confirm: (result, locale) => locale.t('remove_from_cart', { name: result.item.name })
+};
@@ -0,0 +1,57 @@
+// suggest-deal.js - Find the best deal for the customer's order
+const { findBestDeal } = require('../promotion-engine');
+
+module.exports = {
+    name: 'suggest_deal',
+    description: "Suggest a deal that matches the customer's order",
+    runsOn: 'server',
+    parameters: {
+        type: "object",
+        properties: {}
+    },
+
+    handler(args, session) {
+        const match = findBestDeal(session.cartEngine, session.restaurantData);
+
+        if (!match.deal) {
+            session.suggestedDeal = null;
+
+            return {
+                success: true,
+                deal: null,
+                closest: match.closest ? { name: match.closest.deal.name, missing: match.closest.missing } : null
+            };
+        }
+
+        // Remember the suggestion so apply_deal can use it when the customer accepts
+        session.suggestedDeal = match.deal.id;
+
+        return {
+            success: true,
+            deal: {
+                id: match.deal.id,
+                name: match.deal.name,
+                description: match.deal.description,
+                price: match.deal.price
+            },
+            regularPrice: match.regularPrice,
+            savings: match.savings
+        };
+    },
+
+    confirm(result, locale) {
+        if (result.deal) {
+            return locale.t('suggest_deal', {
+                name: result.deal.name,
+                price: result.deal.price.toFixed(2),
+                savings: result.savings.toFixed(2)
+            });
+        }
+
+        if (result.closest) {
+            return locale.t('suggest_deal.closest', { name: result.closest.name, missing: result.closest.missing.join(', ') });
+        }
+
+        return locale.t('suggest_deal.none');
+    }
+};
@@ -0,0 +1,25 @@
+// update-customer-address.js - Record the customer's delivery address
+
+module.exports = {
+    name: 'update_customer_address',
+    description: "Update the customer's address for delivery",
+    runsOn: 'both',
+    parameters: {
+        type: "object",
+        properties: {
+            address: {
+                type: "string",
+                description: "The customer's delivery address"
+            }
+        },
+        required: ["address"]
+    },
+
+    handler(args, session) {
+        session.customer.address = args.address;
+
+        return { success: true, event: 'customer_updated', customer: { ...session.customer } };
+    },
+
+    confirm: (result, locale) => locale.t('update_customer_address', { address: result.customer.address })
+};
@@ -0,0 +1,25 @@
+// update-customer-name.js - Record the customer's name for the order
+
+module.exports = {
+    name: 'update_customer_name',
+    description: "Update the customer's name for the order",
+    runsOn: 'both',
+    parameters: {
+        type: "object",
+        properties: {
+            name: {
+                type: "string",
+                description: "The customer's name"
+            }
+        },
+        required: ["name"]
+    },
+
+    handler(args, session) {
+        session.customer.name = args.name;
+
+        return { success: true, event: 'customer_updated', customer: { ...session.customer } };
+    },
+
+    confirm: (result, locale) => locale.t('update_customer_name', { name: result.customer.name })
+};
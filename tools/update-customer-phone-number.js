@@ -0,0 +1,25 @@
+// update-customer-phone-number.js - Record the customer's phone number for the order
+
+module.exports = {
+    name: 'update_customer_phone_number',
+    description: "Update the customer's phone number for the order",
+    runsOn: 'both',
+    parameters: {
+        type: "object",
+        properties: {
+            phone: {
+                type: "string",
+                description: "The customer's phone number"
+            }
+        },
+        required: ["phone"]
+    },
+
+    handler(args, session) {
+        session.customer.phone = args.phone;
+
+        return { success: true, event: 'customer_updated', customer: { ...session.customer } };
+    },
+
+    confirm: (result, locale) => locale.t('update_customer_phone_number', { phone: result.customer.phone })
+};
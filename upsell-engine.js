@@ -0,0 +1,223 @@
+// upsell-engine.js - Picks upsell suggestions from the restaurant's upsellRules
+// One engine per session: evaluates cart events and the checkout step, never repeats a suggestion
+// and records every suggestion and whether it converted for reporting
+
+const fs = require('fs');
+const path = require('path');
+const { getLocale } = require('./locales');
+
+const DEBUG = process.env.DEBUG;
+
+function debug(message, data) {
+    if (DEBUG) {
+        if (data) {
+            console.log(`[UPSELL] ${message}`, typeof data === 'object' ? JSON.stringify(data) : data);
+        } else {
+            console.log(`[UPSELL] ${message}`);
+        }
+    }
+}
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const UPSELL_LOG_FILE = path.join(DATA_DIR, 'upsell-events.jsonl');
+
+// Suggestion type -> menu category that converts it
+const SUGGESTION_CATEGORIES = {
+    pizza: 'pizzas',
+    side: 'sides',
+    drink: 'drinks',
+    dessert: 'desserts'
+};
+
+/**
+ * Append an upsell event to the reporting log
+ * @param {Object} event - Event to record
+ */
+function recordUpsellEvent(event) {
+    fs.mkdir(DATA_DIR, { recursive: true }, (mkdirError) => {
+        if (mkdirError) {
+            console.error('Error creating data directory for upsell log:', mkdirError);
+            return;
+        }
+
+        fs.appendFile(UPSELL_LOG_FILE, JSON.stringify(event) + '\n', (error) => {
+            if (error) {
+                console.error('Error recording upsell event:', error);
+            }
+        });
+    });
+}
+
+/**
+ * Summarize the upsell log per rule and suggestion type
+ * @param {string} file - Upsell log, defaults to the one sessions record to
+ * @returns {Array<Object>} - { trigger, type, message, offered, converted, conversionRate }
+ */
+function summarizeUpsellEvents(file = UPSELL_LOG_FILE) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    const summary = new Map();
+
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(lineText => {
+        const event = JSON.parse(lineText);
+        const key = `${event.trigger}|${event.type}`;
+
+        if (!summary.has(key)) {
+            summary.set(key, { trigger: event.trigger, type: event.type, message: event.message, offered: 0, converted: 0 });
+        }
+
+        const entry = summary.get(key);
+        if (event.event === 'offered') entry.offered++;
+        if (event.event === 'converted') entry.converted++;
+    });
+
+    return Array.from(summary.values()).map(entry => ({
+        ...entry,
+        conversionRate: entry.offered > 0 ? entry.converted / entry.offered : 0
+    }));
+}
+
+class UpsellEngine {
+    /**
+     * @param {Object} restaurantData - Restaurant data with upsellRules
+     * @param {string} sessionId - Session the suggestions belong to, used in the report
+     * @param {Object} options - { locale: session language, recorder: called with every offered/converted event }
+     */
+    constructor(restaurantData, sessionId, options = {}) {
+        this.restaurantData = restaurantData;
+        this.sessionId = sessionId;
+        this.locale = options.locale || getLocale();
+        this.recorder = options.recorder || recordUpsellEvent;
+
+        // Every suggestion made in this session, in order
+        this.history = [];
+    }
+
+    /**
+     * Evaluate a cart event or the checkout step
+     * @param {Object} event - { type: 'item_added', item } | { type: 'deal_applied', deal } | { type: 'checkout' }
+     * @param {CartEngine} cartEngine - Session cart
+     * @returns {Object|null} - One suggestion ({ trigger, type, message }) or null
+     */
+    evaluate(event, cartEngine) {
+        this.checkConversions(event);
+
+        const rules = (this.restaurantData && this.restaurantData.upsellRules) || [];
+        const triggers = this.getTriggers(event);
+
+        // Most specific trigger first, e.g. "large pizza" before "pizza"
+        for (const trigger of triggers) {
+            const rule = rules.find(r => r.trigger.toLowerCase() === trigger);
+            if (!rule) continue;
+
+            for (const suggestion of rule.suggestions) {
+                if (this.wasOffered(rule.trigger, suggestion) || this.isSatisfied(suggestion, cartEngine)) {
+                    continue;
+                }
+
+                return this.offer(rule.trigger, suggestion);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the rule triggers that match an event
+     * @param {Object} event - Cart event or checkout step
+     * @returns {Array<string>} - Matching triggers, most specific first
+     */
+    getTriggers(event) {
+        if (event.type === 'checkout') {
+            return ['checkout'];
+        }
+
+        if (event.type === 'item_added' && event.item && event.item.category === 'pizzas') {
+            const size = (event.item.size || '').toLowerCase();
+            return size ? [`${size} pizza`, 'pizza'] : ['pizza'];
+        }
+
+        return [];
+    }
+
+    /**
+     * Check whether the cart already has what a suggestion would add
+     * @param {Object} suggestion - Suggestion from an upsell rule
+     * @param {CartEngine} cartEngine - Session cart
+     * @returns {boolean}
+     */
+    isSatisfied(suggestion, cartEngine) {
+        if (suggestion.type === 'deal') {
+            return cartEngine.appliedDeals.length > 0;
+        }
+
+        const category = SUGGESTION_CATEGORIES[suggestion.type];
+        return Boolean(category) && cartEngine.items.some(line => line.category === category);
+    }
+
+    wasOffered(trigger, suggestion) {
+        return this.history.some(entry => entry.trigger === trigger && entry.message === suggestion.message);
+    }
+
+    /**
+     * Word a suggestion in the session language
+     * The rule's own translation wins, otherwise the locale words the suggestion type
+     * @param {Object} suggestion - Suggestion from an upsell rule
+     * @returns {string}
+     */
+    localize(suggestion) {
+        const translation = suggestion.translations && suggestion.translations[this.locale.code];
+        return translation || this.locale.t(`upsell.${suggestion.type}`, { message: suggestion.message });
+    }
+
+    /**
+     * Record a suggestion as offered and hand it out
+     * The history and the report keep the rule's message, the returned message is localized
+     * @param {string} trigger - Rule trigger
+     * @param {Object} suggestion - Suggestion from the rule
+     * @returns {Object} - The offered suggestion
+     */
+    offer(trigger, suggestion) {
+        const entry = {
+            trigger: trigger,
+            type: suggestion.type,
+            message: suggestion.message,
+            offeredAt: new Date().toISOString(),
+            converted: false
+        };
+
+        this.history.push(entry);
+        debug(`Offering upsell for "${trigger}": ${suggestion.message}`);
+        this.recorder({ event: 'offered', sessionId: this.sessionId, ...entry });
+
+        return { trigger: entry.trigger, type: entry.type, message: this.localize(suggestion) };
+    }
+
+    /**
+     * Mark earlier suggestions as converted when the customer takes them up
+     * @param {Object} event - Cart event
+     */
+    checkConversions(event) {
+        for (const entry of this.history) {
+            if (entry.converted) continue;
+
+            const converted = entry.type === 'deal'
+                ? event.type === 'deal_applied'
+                : event.type === 'item_added' && event.item && event.item.category === SUGGESTION_CATEGORIES[entry.type];
+
+            if (converted) {
+                entry.converted = true;
+                entry.convertedAt = new Date().toISOString();
+                debug(`Upsell converted: ${entry.message}`);
+                this.recorder({ event: 'converted', sessionId: this.sessionId, ...entry });
+            }
+        }
+    }
+}
+
+module.exports = {
+    UpsellEngine,
+    summarizeUpsellEvents
+};